@@ -0,0 +1,96 @@
+import express from 'express';
+import { authenticateToken } from './auth.js';
+import { validateStrategySettings, getStrategySettings, EDITABLE_SETTINGS } from '../core/StrategySettings.js';
+import {
+  getActiveStrategySettings,
+  getStrategySettingsVersion,
+  listStrategySettings,
+  saveStrategySettings,
+} from '../modules/database.js';
+
+const router = express.Router();
+
+// Field bounds first, then whether the running bot can build its strategies with the result
+const checkSettings = (req, update, base) => {
+  const { settings, errors } = validateStrategySettings(update, base);
+  const buildError = errors.length === 0 ? req.app.locals.botInstance?.checkStrategySettings(settings) : null;
+  return { settings, errors: buildError ? [buildError] : errors };
+};
+
+// Hands a saved version to the running bot, if there is one
+const applyToBot = (req, entry) => {
+  req.app.locals.botInstance?.applyStrategySettings(entry);
+};
+
+// @route GET /api/settings
+// Returns the active settings version, what the running bot uses, and the editable bounds
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const active = await getActiveStrategySettings();
+    const bot = req.app.locals.botInstance;
+    res.json({
+      active: active ?? { version: null, settings: getStrategySettings() },
+      running: bot ? bot.getStrategySettings() : null,
+      editable: EDITABLE_SETTINGS,
+    });
+  } catch (error) {
+    console.error('Settings API Error:', error.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route GET /api/settings/versions
+// Returns saved versions, newest first
+router.get('/versions', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listStrategySettings());
+  } catch (error) {
+    console.error('Settings API Error:', error.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route PUT /api/settings
+// Body: { settings: { STAKE_AMOUNT: 5, ... }, note? }; unspecified settings keep their active value
+router.put('/', authenticateToken, async (req, res) => {
+  try {
+    const { settings: update, note } = req.body;
+    const active = await getActiveStrategySettings();
+    const { settings, errors } = checkSettings(req, update, { ...getStrategySettings(), ...active?.settings });
+    if (errors.length > 0) return res.status(400).json({ message: 'Invalid settings', errors });
+
+    const entry = await saveStrategySettings(settings, { author: req.user.email, note });
+    applyToBot(req, entry);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Settings API Error:', error.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route POST /api/settings/rollback/:version
+// Saves an old version's settings as the newest version
+router.post('/rollback/:version', authenticateToken, async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    const target = Number.isInteger(version) ? await getStrategySettingsVersion(version) : null;
+    if (!target) return res.status(404).json({ message: `Settings version ${req.params.version} not found` });
+
+    // Bounds may have tightened since the version was saved
+    const { settings, errors } = checkSettings(req, target.settings);
+    if (errors.length > 0) return res.status(400).json({ message: 'Invalid settings', errors });
+
+    const entry = await saveStrategySettings(settings, {
+      author: req.user.email,
+      note: req.body?.note || `Rollback to version ${version}`,
+      rolledBackFrom: version,
+    });
+    applyToBot(req, entry);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Settings API Error:', error.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+export default router;
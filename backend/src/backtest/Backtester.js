@@ -0,0 +1,197 @@
+import { createStrategy } from "../strategies/index.js";
+import { getSymbolSettings } from "../core/SymbolTrader.js";
+import PositionSizer, { toTradeSizing } from "../sizing/PositionSizer.js";
+import CandleBuilder from "../utils/CandleBuilder.js";
+import {
+  roundMoney,
+  calculateMultiplierCommission,
+  calculateMultiplierProfit,
+  getMultiplierExit,
+} from "../utils/multiplier.js";
+
+/**
+ * Backtester
+ * Replays historical ticks through a strategy plugin exactly like `SymbolTrader` feeds
+ * live ticks, and settles its signals as simulated multiplier contracts. Trades come
+ * out in the shape of the `Trade` model, plus an equity curve of closed-trade balances.
+ */
+export default class Backtester {
+  /**
+   * @param {object} options
+   * @param {string} options.symbol Symbol the ticks belong to; selects SYMBOL_OVERRIDES.
+   * @param {string} [options.strategy] Registered strategy name, defaults to the symbol's STRATEGY.
+   * @param {number} [options.initialBalance=10000]
+   * @param {number} [options.commissionRate=0] Fraction of `stake * multiplier` charged per contract.
+   */
+  constructor({ symbol, strategy, initialBalance = 10000, commissionRate = 0 }) {
+    this.symbol = symbol;
+    this.settings = getSymbolSettings(symbol);
+    this.strategyName = strategy || this.settings.STRATEGY;
+    this.initialBalance = initialBalance;
+    this.commissionRate = commissionRate;
+  }
+
+  /**
+   * @param {{ epoch: number|null, quote: number }[]} ticks Oldest first; missing epochs are spaced one second apart.
+   * @returns {Promise<{ trades: object[], equityCurve: { time: Date, balance: number }[], summary: object }>}
+   */
+  async run(ticks) {
+    const strategy = createStrategy(this.strategyName, { symbol: this.symbol, params: this.settings.params });
+    const sizer = new PositionSizer(this.settings);
+    const candleBuilder = strategy.candleGranularity ? new CandleBuilder(strategy.candleGranularity) : null;
+    await strategy.init();
+
+    const trades = [];
+    const equityCurve = [];
+    let balance = this.initialBalance;
+    let pendingSignal = null; // Bought on the signal tick, entered at the next tick like on Deriv
+    let contract = null;
+    let skippedSignals = 0;
+
+    const firstEpoch = Math.floor(Date.now() / 1000) - ticks.length;
+    const series = ticks.map((tick, index) => ({
+      symbol: this.symbol,
+      quote: tick.quote,
+      epoch: tick.epoch ?? firstEpoch + index,
+    }));
+    if (series.length > 0) equityCurve.push({ time: new Date(series[0].epoch * 1000), balance });
+
+    series.forEach((tick, index) => {
+      if (pendingSignal) {
+        contract = this._openContract(pendingSignal, tick, trades.length + 1);
+        balance = roundMoney(balance - contract.trade.entry_price);
+        trades.push(contract.trade);
+        strategy.onTradeOpened({ id: contract.trade.contract_id, symbol: this.symbol, action: contract.action, buyPrice: contract.trade.entry_price });
+        pendingSignal = null;
+      } else if (contract) {
+        const closed = this._updateContract(contract, tick);
+        strategy.onContractUpdate(contract.info);
+
+        if (closed) {
+          balance = roundMoney(balance + contract.trade.exit_price);
+          contract.trade.account_balance = balance;
+          equityCurve.push({ time: contract.trade.exit_time, balance });
+          const closedTrade = { id: contract.trade.contract_id, symbol: this.symbol, action: contract.action, profit: contract.trade.profit, sellPrice: contract.trade.exit_price };
+          strategy.onTradeClosed(closedTrade);
+          sizer.onTradeClosed(closedTrade);
+          contract = null;
+        }
+      }
+
+      sizer.onTick(tick);
+      // One position at a time, like the default MAX_OPEN_PER_SYMBOL
+      const openPositions = contract || pendingSignal ? 1 : 0;
+      const context = { hasOpenPosition: openPositions > 0, openPositions, canOpenPosition: openPositions === 0, exitOnSignal: false, isWarmup: index < strategy.warmupTicks };
+      const signals = [strategy.onTick(tick, context)];
+      const candle = candleBuilder?.push(tick);
+      if (candle) signals.push(strategy.onCandle(candle, context));
+
+      const signal = signals.find(Boolean);
+      if (!signal || context.isWarmup || context.hasOpenPosition) return;
+
+      const sizing = sizer.size(balance);
+      if (!sizing.stake) {
+        skippedSignals++;
+        strategy.onTradeFailed({ symbol: this.symbol, action: signal.direction === 'up' ? 'BUY' : 'SELL', code: "SizingRejected", reason: sizing.rejected, retryable: false });
+        return;
+      }
+      pendingSignal = { ...signal, sizing };
+    });
+
+    await strategy.dispose();
+
+    return {
+      trades,
+      equityCurve,
+      summary: this._summarize(trades, equityCurve, skippedSignals),
+    };
+  }
+
+  _openContract(signal, tick, sequence) {
+    const { MULTIPLIER, TAKE_PROFIT_MULTIPLIER, STOP_LOSS_MULTIPLIER } = this.settings;
+    const { stake } = signal.sizing;
+    const commission = calculateMultiplierCommission(stake, MULTIPLIER, this.commissionRate);
+
+    return {
+      action: signal.direction === 'up' ? 'BUY' : 'SELL',
+      entrySpot: tick.quote,
+      commission,
+      limitOrder: {
+        take_profit: roundMoney(stake * TAKE_PROFIT_MULTIPLIER),
+        stop_loss: roundMoney(stake * STOP_LOSS_MULTIPLIER),
+      },
+      info: null,
+      trade: {
+        contract_id: `backtest-${sequence}`,
+        symbol: this.symbol,
+        entry_time: new Date(tick.epoch * 1000),
+        entry_price: stake,
+        status: "OPEN",
+        sizing: toTradeSizing(signal.sizing),
+        trigger_reason: signal.contractType,
+      },
+    };
+  }
+
+  /**
+   * Revalues the contract at the tick; returns true once take-profit, stop-loss or stop-out closed it.
+   */
+  _updateContract(contract, tick) {
+    const { trade } = contract;
+    const profit = calculateMultiplierProfit({
+      contractType: trade.trigger_reason,
+      stake: trade.entry_price,
+      multiplier: this.settings.MULTIPLIER,
+      commission: contract.commission,
+      entrySpot: contract.entrySpot,
+      spot: tick.quote,
+    });
+    const exit = getMultiplierExit(profit, trade.entry_price, contract.limitOrder);
+
+    contract.info = {
+      contract_id: trade.contract_id,
+      contract_type: trade.trigger_reason,
+      entry_spot: contract.entrySpot,
+      current_spot: tick.quote,
+      current_spot_time: tick.epoch,
+      profit,
+      bid_price: roundMoney(trade.entry_price + profit),
+      is_sold: exit ? 1 : 0,
+    };
+    if (!exit) return false;
+
+    trade.status = "CLOSED";
+    trade.exit_time = new Date(tick.epoch * 1000);
+    trade.exit_price = contract.info.bid_price;
+    trade.profit = profit;
+    return true;
+  }
+
+  _summarize(trades, equityCurve, skippedSignals) {
+    const closed = trades.filter((trade) => trade.status === "CLOSED");
+    const wins = closed.filter((trade) => trade.profit > 0).length;
+    const netProfit = roundMoney(closed.reduce((sum, trade) => sum + trade.profit, 0));
+
+    let peak = this.initialBalance;
+    let maxDrawdown = 0;
+    for (const { balance } of equityCurve) {
+      peak = Math.max(peak, balance);
+      maxDrawdown = Math.max(maxDrawdown, peak - balance);
+    }
+
+    return {
+      symbol: this.symbol,
+      strategy: this.strategyName,
+      trades: closed.length,
+      openAtEnd: trades.length - closed.length,
+      wins,
+      losses: closed.length - wins,
+      winRate: closed.length > 0 ? wins / closed.length : 0,
+      netProfit,
+      maxDrawdown: roundMoney(maxDrawdown),
+      initialBalance: this.initialBalance,
+      finalBalance: equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].balance : this.initialBalance,
+      skippedSignals,
+    };
+  }
+}
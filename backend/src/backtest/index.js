@@ -0,0 +1,75 @@
+import 'dotenv/config';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import Backtester from './Backtester.js';
+import Deriv from '../core/Deriv.js';
+import config, { requireDerivCredentials } from '../config.js';
+import { loadTicks, saveTicks } from '../utils/tickFile.js';
+
+/**
+ * Backtest CLI
+ *   npm run backtest -- --file ticks.csv [--symbol R_100]
+ *   npm run backtest -- --count 20000 [--save ticks.json] [--out results.json]
+ */
+const { values: args } = parseArgs({
+  options: {
+    symbol: { type: 'string', default: config.SYMBOLS[0] },
+    strategy: { type: 'string' },
+    file: { type: 'string' },
+    count: { type: 'string', default: '5000' },
+    save: { type: 'string' },
+    out: { type: 'string' },
+    balance: { type: 'string', default: '10000' },
+    commission: { type: 'string', default: '0' },
+  },
+});
+
+/**
+ * Downloads the latest `count` ticks of the symbol from Deriv.
+ */
+const downloadTicks = async (symbol, count) => {
+  requireDerivCredentials();
+  const deriv = new Deriv();
+  try {
+    await deriv.connect();
+    return await deriv.getTickHistory(symbol, { count });
+  } finally {
+    deriv.disconnect();
+  }
+};
+
+const run = async () => {
+  const ticks = args.file
+    ? loadTicks(args.file)
+    : await downloadTicks(args.symbol, parseInt(args.count, 10));
+  console.log(`📼 Loaded ${ticks.length} ticks for ${args.symbol}.`);
+
+  if (args.save) {
+    saveTicks(args.save, ticks);
+    console.log(`💾 Saved ticks to ${args.save}`);
+  }
+
+  const backtester = new Backtester({
+    symbol: args.symbol,
+    strategy: args.strategy,
+    initialBalance: parseFloat(args.balance),
+    commissionRate: parseFloat(args.commission),
+  });
+  const result = await backtester.run(ticks);
+  const { summary } = result;
+
+  console.log(`📊 ${summary.strategy} on ${summary.symbol}: ${summary.trades} trades, ${summary.wins}W/${summary.losses}L (${(summary.winRate * 100).toFixed(1)}%)`);
+  console.log(`💲 Net profit: $${summary.netProfit.toFixed(2)} | Final balance: $${summary.finalBalance.toFixed(2)} | Max drawdown: $${summary.maxDrawdown.toFixed(2)}`);
+  if (summary.openAtEnd > 0) console.log(`⚠️ ${summary.openAtEnd} trade(s) still open when the ticks ran out.`);
+  if (summary.skippedSignals > 0) console.log(`⚠️ ${summary.skippedSignals} signal(s) skipped: no stake within the sizing limits and balance.`);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(result, null, 2));
+    console.log(`💾 Wrote trades and equity curve to ${args.out}`);
+  }
+};
+
+run().catch((error) => {
+  console.error(`💥 Backtest failed: ${error.message}`);
+  process.exit(1);
+});
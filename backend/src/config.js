@@ -2,22 +2,116 @@ import env from "dotenv";
 
 env.config();
 
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`💥 Fatal Error: ${name} is not valid JSON (${error.message})`);
+    process.exit(1);
+  }
+}
+
 const config = {
   APP_ID: process.env.APP_ID,
   DERIV_TOKEN: process.env.DERIV_TOKEN,
-  STAKE_AMOUNT: parseFloat(process.env.STAKE_AMOUNT || "10"),
+  // Point at a local simulator (e.g. ws://localhost:8765) for offline development
+  DERIV_WS_URL: process.env.DERIV_WS_URL || "wss://ws.binaryws.com/websockets/v3",
+  // "live" places real buys; "paper" fills virtually at the live quote and settles TP/SL against live ticks
+  TRADING_MODE: process.env.TRADING_MODE || "live",
+  PAPER_BALANCE: parseFloat(process.env.PAPER_BALANCE || "10000"),
+  PAPER_COMMISSION_RATE: parseFloat(process.env.PAPER_COMMISSION_RATE || "0"), // Fraction of stake * multiplier
+  STAKE_AMOUNT: parseFloat(process.env.STAKE_AMOUNT || "10"), // Base stake; what the sizing modes start from
+  // Position sizing plugin (see sizing/index.js): fixed, fixed-fractional, volatility, martingale, anti-martingale
+  SIZING_MODE: process.env.SIZING_MODE || "fixed",
+  // Mode parameters as JSON, e.g. {"riskFraction": 0.01} or {"factor": 2, "maxSteps": 3}
+  SIZING_PARAMS: parseJsonEnv("SIZING_PARAMS", {}),
+  MIN_STAKE: parseFloat(process.env.MIN_STAKE || "1"),
+  MAX_STAKE: parseFloat(process.env.MAX_STAKE || "0"), // 0 = no maximum
+  MAX_RISK_PER_TRADE: parseFloat(process.env.MAX_RISK_PER_TRADE || "0"), // Fraction of balance lost at the stop loss, 0 = no limit
   MULTIPLIER: parseInt(process.env.MULTIPLIER || "400", 10),
-  SQUEEZE_THRESHOLD: parseFloat(process.env.SQUEEZE_THRESHOLD || "0.0005"),
-  SYMBOL: "1HZ100V",
-  TICK_LIMIT: 10,
+  SQUEEZE_THRESHOLD: parseFloat(process.env.SQUEEZE_THRESHOLD || "0.0005"), // Bandwidth that enters the squeeze
+  // Bandwidth that ends it; lower than SQUEEZE_THRESHOLD for hysteresis (defaults to SQUEEZE_THRESHOLD)
+  SQUEEZE_DISARM_THRESHOLD: process.env.SQUEEZE_DISARM_THRESHOLD ? parseFloat(process.env.SQUEEZE_DISARM_THRESHOLD) : null,
+  SQUEEZE_MIN_TICKS: parseInt(process.env.SQUEEZE_MIN_TICKS || "1", 10), // Consecutive ticks in squeeze before arming
+  SQUEEZE_ARM_EXPIRY_TICKS: parseInt(process.env.SQUEEZE_ARM_EXPIRY_TICKS || "0", 10), // Armed ticks without a signal before lapsing, 0 = never
+  STREAM_STRATEGY_STATE: process.env.STREAM_STRATEGY_STATE === "true", // Send strategy state transitions to the dashboard
+  STRATEGY: process.env.STRATEGY || "bollinger-reversal", // Name registered in strategies/index.js
+  // Comma separated synthetic indices traded concurrently, e.g. "1HZ10V,1HZ75V,R_100,BOOM1000"
+  SYMBOLS: (process.env.SYMBOLS || "1HZ100V").split(",").map((symbol) => symbol.trim()).filter(Boolean),
+  // Per symbol overrides of STRATEGY, STAKE_AMOUNT, SIZING_MODE, SIZING_PARAMS, MULTIPLIER, TAKE_PROFIT_MULTIPLIER,
+  // STOP_LOSS_MULTIPLIER and strategy `params`, as JSON: {"R_100": {"STAKE_AMOUNT": 5, "params": {"squeezeThreshold": 0.001}}}
+  SYMBOL_OVERRIDES: parseJsonEnv("SYMBOL_OVERRIDES", {}),
+  TICK_LIMIT: 10, // Bollinger period in ticks
+  BOLLINGER_DEVIATION: parseFloat(process.env.BOLLINGER_DEVIATION || "2"),
   HEARTBEAT_INTERVAL_MS: 15000,
+  HEARTBEAT_MAX_MISSED_PONGS: 2, // Consecutive unanswered pings before the socket is considered dead
+  // Silence on a tick stream that was ticking that forces a reconnect; raise it for symbols slower than the 1HZ indices, 0 = off
+  STALE_TICK_TIMEOUT_MS: parseInt(process.env.STALE_TICK_TIMEOUT_MS || "10000", 10),
+  WATCHDOG_INTERVAL_MS: 2000,
+  REQUEST_TIMEOUT_MS: 10000,
+  // Per message type overrides of REQUEST_TIMEOUT_MS
+  REQUEST_TIMEOUTS_MS: {
+    ping: 5000,
+    proposal: 10000,
+    buy: 15000,
+    sell: 15000,
+  },
+  // Client-side token buckets mirroring Deriv's documented api_call_limits
+  RATE_LIMITS: {
+    outcome: { perMinute: 25, perHour: 1500 }, // buy, sell, contract_update
+    pricing: { perMinute: 80, perHour: 3600 }, // proposal, proposal_open_contract
+    general: { perMinute: 180, perHour: 14400 }, // everything else
+  },
+  REQUEST_QUEUE_WARN_DEPTH: 20,
+  RECONNECT_BASE_DELAY_MS: 1000,
+  RECONNECT_MAX_DELAY_MS: 60000,
+  BALANCE_DISCREPANCY_TOLERANCE: 0.01, // Allowed gap between computed and Deriv-reported balance
+  BALANCE_CHECK_DELAY_MS: 3000, // Lets balance and contract streams settle before comparing them
+  MAX_OPEN_POSITIONS: parseInt(process.env.MAX_OPEN_POSITIONS || "0", 10), // Open positions across all symbols, 0 = no limit
+  MAX_OPEN_PER_SYMBOL: parseInt(process.env.MAX_OPEN_PER_SYMBOL || "1", 10), // Open positions per symbol, 0 = no limit
+  // Daily limits that halt new entries until the next trading day (UTC); 0 disables a limit
+  DAILY_TAKE_PROFIT: parseFloat(process.env.DAILY_TAKE_PROFIT || "0"), // Realised profit for the day
+  DAILY_MAX_LOSS: parseFloat(process.env.DAILY_MAX_LOSS || "0"), // Realised loss for the day, as a positive amount
+  DAILY_MAX_TRADES: parseInt(process.env.DAILY_MAX_TRADES || "0", 10), // Trades opened in the day
+  // When new entries are allowed (see core/TradingSchedule.js); all empty = around the clock
+  TRADING_DAYS: process.env.TRADING_DAYS || "", // e.g. "mon-fri"
+  TRADING_HOURS: process.env.TRADING_HOURS || "", // e.g. "08:00-12:00,13:30-17:00"
+  TRADING_TIMEZONE: process.env.TRADING_TIMEZONE || "UTC", // IANA name the days, hours and dates are read in
+  BLACKOUT_DATES: process.env.BLACKOUT_DATES || "", // e.g. "2026-12-25,2027-01-01"
+  // Cooldowns and circuit breaker; 0 disables a rule
+  COOLDOWN_AFTER_TRADE_S: parseInt(process.env.COOLDOWN_AFTER_TRADE_S || "0", 10), // No new entry on a symbol for this long after any of its trades closes
+  COOLDOWN_AFTER_LOSS_S: parseInt(process.env.COOLDOWN_AFTER_LOSS_S || "0", 10), // Longer cooldown after a loss
+  CIRCUIT_BREAKER_MAX_LOSSES: parseInt(process.env.CIRCUIT_BREAKER_MAX_LOSSES || "0", 10), // Consecutive losses that trip the breaker
+  CIRCUIT_BREAKER_MAX_DRAWDOWN: parseFloat(process.env.CIRCUIT_BREAKER_MAX_DRAWDOWN || "0"), // Realised drawdown within the window that trips it
+  CIRCUIT_BREAKER_WINDOW_S: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_S || "3600", 10), // Rolling window of the drawdown
+  CIRCUIT_BREAKER_RESET_S: parseInt(process.env.CIRCUIT_BREAKER_RESET_S || "0", 10), // Re-arms a tripped breaker after this long, 0 = from the dashboard only
+  // Active management of open contracts; triggers and distances are fractions of the stake, 0 disables a rule
+  BREAK_EVEN_TRIGGER: parseFloat(process.env.BREAK_EVEN_TRIGGER || "0"), // Profit that moves the stop to break-even
+  TRAILING_STOP_TRIGGER: parseFloat(process.env.TRAILING_STOP_TRIGGER || "0"), // Profit that starts the trailing stop
+  TRAILING_STOP_DISTANCE: parseFloat(process.env.TRAILING_STOP_DISTANCE || "0.2"), // Trailing stop distance below the peak profit
+  STOP_UPDATE_STEP: parseFloat(process.env.STOP_UPDATE_STEP || "0.05"), // Smallest stop move worth a contract_update
+  MIN_STOP_LOSS_AMOUNT: 0.1, // Tightest stop loss Deriv accepts; tighter stops are enforced by selling
+  MAX_TRADE_DURATION_S: parseInt(process.env.MAX_TRADE_DURATION_S || "0", 10), // Sells a contract held longer than this
+  EXIT_ON_OPPOSITE_SIGNAL: process.env.EXIT_ON_OPPOSITE_SIGNAL === "true", // Sells open contracts when the strategy signals the other way
   TAKE_PROFIT_MULTIPLIER: 0.5, 
   STOP_LOSS_MULTIPLIER: 0.3, 
 };
 
-if (!config.APP_ID || !config.DERIV_TOKEN) {
-  console.error("💥 Fatal Error: APP_ID or DERIV_TOKEN missing in .env");
+if (!["live", "paper"].includes(config.TRADING_MODE)) {
+  console.error(`💥 Fatal Error: TRADING_MODE must be "live" or "paper", got "${config.TRADING_MODE}"`);
   process.exit(1);
 }
 
+/**
+ * Exits when the Deriv credentials are missing. Called by the entry points that connect to
+ * Deriv, so offline tools (e.g. a backtest over a tick file) run without them.
+ */
+export const requireDerivCredentials = () => {
+  if (!config.APP_ID || !config.DERIV_TOKEN) {
+    console.error("💥 Fatal Error: APP_ID or DERIV_TOKEN missing in .env");
+    process.exit(1);
+  }
+};
+
 export default config;
@@ -0,0 +1,135 @@
+import { BotEvents } from "./EventBus.js";
+import config from "../config.js";
+
+/**
+ * Circuit Breaker
+ * Slows the bot down when trades go wrong. Every closed trade starts a cooldown on its
+ * symbol (COOLDOWN_AFTER_TRADE_S, or COOLDOWN_AFTER_LOSS_S after a loss), and the breaker
+ * trips, halting every new entry, after CIRCUIT_BREAKER_MAX_LOSSES consecutive losses or a
+ * realised drawdown of CIRCUIT_BREAKER_MAX_DRAWDOWN within the last CIRCUIT_BREAKER_WINDOW_S.
+ * A tripped breaker is re-armed from the dashboard or, with CIRCUIT_BREAKER_RESET_S, on a timer.
+ * State is kept in memory: a restart re-arms it.
+ */
+export default class CircuitBreaker {
+  constructor(events, { onChange = () => { } } = {}) {
+    this.events = events;
+    this.onChange = onChange;
+    this.cooldowns = new Map(); // symbol -> { until, reason }
+    this.trip = null;
+    this.rearmTimer = null;
+    this._resetCounters();
+  }
+
+  get isTripped() {
+    return this.trip !== null;
+  }
+
+  dispose() {
+    clearTimeout(this.rearmTimer);
+  }
+
+  /**
+   * Returns why `symbol` may not enter right now, or null.
+   */
+  getEntryBlock(symbol, now = Date.now()) {
+    if (this.trip) return this.trip.reason;
+
+    const cooldown = this.getCooldown(symbol, now);
+    return cooldown ? `${symbol} cooling down ${Math.ceil((cooldown.until - now) / 1000)}s after a ${cooldown.reason}` : null;
+  }
+
+  /**
+   * Returns the running cooldown of `symbol`, or null.
+   */
+  getCooldown(symbol, now = Date.now()) {
+    const cooldown = this.cooldowns.get(symbol);
+    if (!cooldown) return null;
+    if (cooldown.until > now) return cooldown;
+
+    this.cooldowns.delete(symbol);
+    return null;
+  }
+
+  /**
+   * Books a closed trade: starts the symbol's cooldown and checks the breaker.
+   */
+  recordResult(symbol, profit, now = Date.now()) {
+    const { COOLDOWN_AFTER_TRADE_S, COOLDOWN_AFTER_LOSS_S } = config;
+    const isLoss = profit < 0;
+
+    const cooldownS = Math.max(COOLDOWN_AFTER_TRADE_S, isLoss ? COOLDOWN_AFTER_LOSS_S : 0);
+    if (cooldownS > 0) this.cooldowns.set(symbol, { until: now + cooldownS * 1000, reason: isLoss ? "loss" : "trade" });
+
+    this.consecutiveLosses = isLoss ? this.consecutiveLosses + 1 : 0;
+    this.results.push({ time: now, profit });
+    this._pruneWindow(now);
+    this._check();
+  }
+
+  /**
+   * Lifts a tripped breaker. Returns false when it was not tripped.
+   * @param {"manual"|"timer"} by
+   */
+  rearm(by = "manual") {
+    if (!this.trip) return false;
+
+    clearTimeout(this.rearmTimer);
+    this.trip = null;
+    this._resetCounters();
+    console.log(`▶️ Circuit breaker re-armed (${by}), trading resumed.`);
+    this.onChange();
+    return true;
+  }
+
+  _check() {
+    if (this.trip) return;
+    const { CIRCUIT_BREAKER_MAX_LOSSES, CIRCUIT_BREAKER_MAX_DRAWDOWN, CIRCUIT_BREAKER_WINDOW_S } = config;
+
+    if (CIRCUIT_BREAKER_MAX_LOSSES > 0 && this.consecutiveLosses >= CIRCUIT_BREAKER_MAX_LOSSES) {
+      this._trip(`${this.consecutiveLosses} consecutive loss(es)`);
+      return;
+    }
+
+    const drawdown = this._windowDrawdown();
+    if (CIRCUIT_BREAKER_MAX_DRAWDOWN > 0 && drawdown >= CIRCUIT_BREAKER_MAX_DRAWDOWN) {
+      this._trip(`$${drawdown.toFixed(2)} drawdown within ${Math.round(CIRCUIT_BREAKER_WINDOW_S / 60)} min (limit $${CIRCUIT_BREAKER_MAX_DRAWDOWN.toFixed(2)})`);
+    }
+  }
+
+  /**
+   * Largest peak-to-trough fall of the realised profit over the trades in the window.
+   */
+  _windowDrawdown() {
+    let cumulative = 0;
+    let peak = 0;
+    let drawdown = 0;
+    for (const { profit } of this.results) {
+      cumulative += profit;
+      peak = Math.max(peak, cumulative);
+      drawdown = Math.max(drawdown, peak - cumulative);
+    }
+    return drawdown;
+  }
+
+  _pruneWindow(now) {
+    const since = now - config.CIRCUIT_BREAKER_WINDOW_S * 1000;
+    while (this.results.length > 0 && this.results[0].time < since) this.results.shift();
+  }
+
+  _trip(cause) {
+    const { CIRCUIT_BREAKER_RESET_S } = config;
+    const until = CIRCUIT_BREAKER_RESET_S > 0 ? new Date(Date.now() + CIRCUIT_BREAKER_RESET_S * 1000) : null;
+    const reason = `Circuit breaker tripped: ${cause}`;
+    this.trip = { code: "CIRCUIT_BREAKER", reason, until: until?.toISOString() ?? null, rearmable: true };
+    console.warn(`🛑 Trading HALTED, ${reason}${until ? ` (re-arms at ${until.toISOString()})` : " (re-arm from the dashboard)"}`);
+
+    this.events.emit(BotEvents.ALERT, { level: "warning", code: "CIRCUIT_BREAKER", message: `Trading halted. ${reason}` });
+    if (until) this.rearmTimer = setTimeout(() => this.rearm("timer"), until - Date.now());
+    this.onChange();
+  }
+
+  _resetCounters() {
+    this.consecutiveLosses = 0;
+    this.results = []; // { time, profit } of the trades closed within the window
+  }
+}
@@ -1,21 +1,60 @@
 import WebSocket from "ws";
 import config from "../config.js";
+import { RequestTimeoutError, ConnectionClosedError, DerivApiError } from "./errors.js";
+import RequestQueue from "./RequestQueue.js";
+import EventBus, { BotEvents } from "./EventBus.js";
+
+// Deriv returns at most this many ticks or candles per ticks_history call
+const MAX_HISTORY_PAGE = 5000;
+// A re-subscribed stream gets this many STALE_TICK_TIMEOUT_MS for its first tick
+const FIRST_TICK_GRACE_FACTOR = 3;
+
+/**
+ * Connection states published as `BotEvents.CONNECTION_STATE`.
+ */
+export const ConnectionState = Object.freeze({
+  CONNECTING: "CONNECTING",
+  CONNECTED: "CONNECTED",
+  RECONNECTING: "RECONNECTING",
+  DISCONNECTED: "DISCONNECTED",
+});
 
 /**
  * Deriv Framework
  * Base abstraction for connection management, heartbeats, and API payloads.
- * No EventEmitters. Classes relying on events must override specific hooks like `onTick` or `onContractSold`.
+ * Stream data and connection changes are published on `this.events` (see `BotEvents`)
+ * for any number of listeners; subclasses may still override the `onTick`,
+ * `onContractUpdate` and `onConnectionStateChange` hooks, which are fed from the same bus.
  */
 export default class Deriv {
   constructor() {
     this.ws = null;
-    this.url = `wss://ws.binaryws.com/websockets/v3?app_id=${config.APP_ID}`;
+    this.events = new EventBus();
+    this.url = `${config.DERIV_WS_URL}?app_id=${config.APP_ID}`;
     this.token = config.DERIV_TOKEN;
 
     this.pendingRequests = new Map();
+    this.requestQueue = new RequestQueue();
     this.reqIdCounter = 1;
     this.heartbeatInterval = null;
+    this.watchdogInterval = null;
+    this.missedPongs = 0;
     this.isAuthenticated = false;
+
+    // Reconnect bookkeeping
+    this.connectionState = ConnectionState.DISCONNECTED;
+    // Subscription registry: key (first subscription id issued) -> { id, payload, msgType, handler, lastMessageAt, isStreaming, awaitingFirstTick }
+    this.subscriptions = new Map();
+    this.subscriptionKeys = new Map(); // current Deriv subscription id -> registry key
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.isReconnecting = false;
+    this.autoReconnect = false;
+
+    // Keep the overridable hooks working on top of the bus
+    this.events.on(BotEvents.TICK, (tick) => this.onTick(tick));
+    this.events.on(BotEvents.CONTRACT_UPDATE, (contractInfo) => this.onContractUpdate(contractInfo));
+    this.events.on(BotEvents.CONNECTION_STATE, ({ state, ...details }) => this.onConnectionStateChange(state, details));
   }
 
   /**
@@ -24,40 +63,69 @@ export default class Deriv {
   connect() {
     return new Promise((resolve, reject) => {
       console.log(`📡 Connecting to Deriv WebSocket...`);
-      this.ws = new WebSocket(this.url);
+      if (!this.isReconnecting) this._setConnectionState(ConnectionState.CONNECTING);
+      const ws = new WebSocket(this.url);
+      this.ws = ws;
 
-      this.ws.on("open", () => {
+      let wasOpen = false;
+
+      ws.on("open", () => {
+        wasOpen = true;
         console.log("✅ WebSocket Connected.");
         this.startHeartbeat();
+        // Only sockets that opened at least once are worth recovering automatically
+        this.autoReconnect = true;
+        if (!this.isReconnecting) this._setConnectionState(ConnectionState.CONNECTED);
         resolve();
       });
 
-      this.ws.on("message", (data) => this._handleMessage(data));
+      ws.on("message", (data) => this._handleMessage(data));
+
+      ws.on("close", () => {
+        // A stale socket replaced by a newer attempt must not trigger anything
+        if (this.ws !== ws) return;
 
-      this.ws.on("close", () => {
         console.log("🔴 WebSocket Closed.");
         this.stopHeartbeat();
         this.isAuthenticated = false;
-        this.onDisconnect();
+        this._rejectPendingRequests();
+        if (wasOpen) this.onDisconnect();
+
+        if (this.autoReconnect) {
+          this._scheduleReconnect();
+        } else {
+          this._setConnectionState(ConnectionState.DISCONNECTED);
+        }
       });
 
-      this.ws.on("error", (error) => {
+      ws.on("error", (error) => {
         console.error("🚨 WebSocket Error:", error.message);
         reject(error);
       });
     });
   }
 
+  /**
+   * Closes the connection on purpose. No reconnect is attempted afterwards.
+   */
+  disconnect() {
+    this.autoReconnect = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+
   /**
    * Send the authorization token to Deriv and resolve on success.
    */
   async authenticate() {
     console.log("🔐 Authenticating...");
     try {
-      const response = await this.send({ authorize: this.token });
-      if (response.error) {
-        throw new Error(response.error.message);
-      }
+      const response = await this.request({ authorize: this.token });
       console.log("✅ Authenticated successfully.");
       this.isAuthenticated = true;
       return response.authorize;
@@ -67,37 +135,201 @@ export default class Deriv {
     }
   }
 
+  // ------------------------------------------------------------------------
+  // Subscription Registry
+  // ------------------------------------------------------------------------
+
+  /**
+   * Opens a streaming subscription and registers it so every message of the stream
+   * reaches `handler` (defaults to publishing it on the event bus) and it is
+   * re-established after a reconnect.
+   * Resolves to the first response; its `subscription.id` stays a valid handle for
+   * `forget()` even after reconnects issue new ids. Rejects with a `DerivApiError` on failure.
+   */
+  async subscribe(payload, handler = (message) => this._publishStreamMessage(message)) {
+    const response = await this.request({ ...payload, subscribe: 1 });
+    if (!response.subscription) return response;
+
+    const key = response.subscription.id;
+    this.subscriptions.set(key, {
+      id: key,
+      payload,
+      msgType: this._getStreamType(payload),
+      handler,
+      lastMessageAt: Date.now(),
+      isStreaming: false, // Set by the first stream update; only streams that deliver are watched for silence
+      awaitingFirstTick: false,
+    });
+    this.subscriptionKeys.set(key, key);
+
+    // The first response already carries stream data (e.g. the current tick)
+    handler(response);
+    return response;
+  }
+
+  /**
+   * Cancels a single subscription by the id it was first issued under.
+   */
+  async forget(key) {
+    const entry = this.subscriptions.get(key);
+    if (!entry) return false;
+
+    this.subscriptions.delete(key);
+    this.subscriptionKeys.delete(entry.id);
+
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return true;
+    const response = await this.request({ forget: entry.id });
+    return response.forget === 1;
+  }
+
+  /**
+   * Cancels every subscription of the given stream type(s), e.g. "ticks" or ["ticks", "proposal_open_contract"].
+   */
+  async forgetAll(types) {
+    const typeList = Array.isArray(types) ? types : [types];
+
+    for (const [key, entry] of this.subscriptions) {
+      if (typeList.includes(entry.msgType)) {
+        this.subscriptions.delete(key);
+        this.subscriptionKeys.delete(entry.id);
+      }
+    }
+
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return [];
+    const response = await this.request({ forget_all: typeList });
+    return response.forget_all;
+  }
+
+  /**
+   * Re-creates every registered subscription on a fresh socket and remaps their ids.
+   */
+  async _restoreSubscriptions() {
+    this.subscriptionKeys.clear();
+
+    for (const [key, entry] of this.subscriptions) {
+      let response;
+      try {
+        response = await this.request({ ...entry.payload, subscribe: 1 });
+      } catch (error) {
+        // The new socket failed as well: the next reconnect attempt restores everything
+        if (error instanceof ConnectionClosedError || error instanceof RequestTimeoutError) throw error;
+        this._dropSubscription(key, entry, error.message);
+        continue;
+      }
+      if (!response.subscription) {
+        this._dropSubscription(key, entry, "Deriv answered without a subscription");
+        continue;
+      }
+
+      entry.id = response.subscription.id;
+      // Still watched from the re-subscribe, with extra time for the first tick
+      entry.lastMessageAt = Date.now();
+      entry.awaitingFirstTick = true;
+      this.subscriptionKeys.set(entry.id, key);
+      entry.handler(response);
+    }
+  }
+
+  /**
+   * Gives up on a subscription Deriv would not restore, so the others still come back.
+   */
+  _dropSubscription(key, entry, reason) {
+    this.subscriptions.delete(key);
+    const stream = entry.payload.ticks || entry.payload.ticks_history || entry.msgType;
+    const message = `Subscription to ${stream} could not be restored: ${reason}`;
+    console.error(`⚠️ ${message}`);
+    this.events.emit(BotEvents.ALERT, { level: "error", code: "SUBSCRIPTION_LOST", message });
+  }
+
+  /**
+   * Stream type as understood by `forget_all`.
+   */
+  _getStreamType(payload) {
+    if (payload.ticks_history) {
+      return payload.style === "candles" ? "candles" : "ticks";
+    }
+    return this._getMessageType(payload);
+  }
+
   /**
    * Central async engine for wrapping WS payloads with Promises.
+   * Requests wait in the rate-limited `requestQueue` before going out.
+   * Rejects with `RequestTimeoutError` when Deriv does not answer in time
+   * (see REQUEST_TIMEOUTS_MS) and `ConnectionClosedError` when the socket drops first.
    */
-  send(payload) {
+  send(payload, { timeoutMs } = {}) {
     return new Promise((resolve, reject) => {
+      // Track request dynamically
+      const req_id = this.reqIdCounter++;
+      const msgType = this._getMessageType(payload);
+
       if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-        return reject(new Error("WebSocket is not open"));
+        return reject(new ConnectionClosedError(msgType, req_id, false));
       }
 
-      // Track request dynamically
-      const req_id = this.reqIdCounter++;
-      const payloadWithId = { ...payload, req_id };
+      this.requestQueue.enqueue(
+        msgType,
+        () => this._dispatch(payload, req_id, msgType, timeoutMs, resolve, reject),
+        () => reject(new ConnectionClosedError(msgType, req_id, false))
+      );
+    });
+  }
 
-      this.pendingRequests.set(req_id, { resolve, reject, payload });
+  /**
+   * Like `send`, but rejects with a typed `DerivApiError` when Deriv answers with an error.
+   */
+  async request(payload, options) {
+    const response = await this.send(payload, options);
+    if (response.error) {
+      throw DerivApiError.from(response.error, this._getMessageType(payload));
+    }
+    return response;
+  }
 
-      this.ws.send(JSON.stringify(payloadWithId), (err) => {
-        if (err) {
-          this.pendingRequests.delete(req_id);
-          reject(err);
-        }
-      });
+  /**
+   * Queue throughput and backpressure statistics per rate limit category.
+   */
+  getRequestQueueMetrics() {
+    return this.requestQueue.getMetrics();
+  }
+
+  /**
+   * Writes a dequeued request to the socket and starts its response timeout.
+   */
+  _dispatch(payload, req_id, msgType, timeoutMs, resolve, reject) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return reject(new ConnectionClosedError(msgType, req_id, false));
+    }
+
+    const payloadWithId = { ...payload, req_id };
+    const timeout = timeoutMs ?? config.REQUEST_TIMEOUTS_MS[msgType] ?? config.REQUEST_TIMEOUT_MS;
+
+    const timer = setTimeout(() => {
+      this.pendingRequests.delete(req_id);
+      reject(new RequestTimeoutError(msgType, req_id, timeout));
+    }, timeout);
+
+    this.pendingRequests.set(req_id, { resolve, reject, payload, msgType, timer });
+
+    this.ws.send(JSON.stringify(payloadWithId), (err) => {
+      if (err) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(req_id);
+        reject(err);
+      }
     });
   }
 
+  /**
+   * Pings Deriv periodically and watches tick streams. A socket that stops answering
+   * pings or a tick stream that goes quiet is treated as half-open and torn down.
+   */
   startHeartbeat() {
     this.stopHeartbeat();
-    this.heartbeatInterval = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.send({ ping: 1 }).catch(() => {}); // Fire and forget
-      }
-    }, config.HEARTBEAT_INTERVAL_MS);
+    this.missedPongs = 0;
+
+    this.heartbeatInterval = setInterval(() => this._ping(), config.HEARTBEAT_INTERVAL_MS);
+    this.watchdogInterval = setInterval(() => this._checkStaleStreams(), config.WATCHDOG_INTERVAL_MS);
   }
 
   stopHeartbeat() {
@@ -105,28 +337,232 @@ export default class Deriv {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
+    if (this.watchdogInterval) {
+      clearInterval(this.watchdogInterval);
+      this.watchdogInterval = null;
+    }
+  }
+
+  async _ping() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    try {
+      await this.request({ ping: 1 });
+      this.missedPongs = 0;
+    } catch (error) {
+      if (!(error instanceof RequestTimeoutError)) return;
+
+      this.missedPongs++;
+      console.warn(`💓 Missed pong ${this.missedPongs}/${config.HEARTBEAT_MAX_MISSED_PONGS}.`);
+      if (this.missedPongs >= config.HEARTBEAT_MAX_MISSED_PONGS) {
+        this._forceReconnect("HEARTBEAT_LOST", `No pong from Deriv for ${this.missedPongs} consecutive pings`);
+      }
+    }
+  }
+
+  _checkStaleStreams() {
+    // Streams are only comparable once they have been restored on this socket
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN || !this.isAuthenticated || this.isReconnecting) return;
+    if (config.STALE_TICK_TIMEOUT_MS <= 0) return;
+
+    const now = Date.now();
+    for (const entry of this.subscriptions.values()) {
+      // A stream that never ticked (e.g. a closed market) cannot go stale
+      if (entry.msgType !== "ticks" || !entry.isStreaming) continue;
+
+      const silentMs = now - entry.lastMessageAt;
+      const timeoutMs = config.STALE_TICK_TIMEOUT_MS * (entry.awaitingFirstTick ? FIRST_TICK_GRACE_FACTOR : 1);
+      if (silentMs > timeoutMs) {
+        const symbol = entry.payload.ticks || entry.payload.ticks_history;
+        // Watched again once it ticks, so a market that closed does not force reconnect after reconnect
+        entry.isStreaming = false;
+        this._forceReconnect("STALE_STREAM", `No tick on ${symbol} for ${Math.round(silentMs / 1000)}s`);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Drops a socket that looks alive but is not delivering; the close handler reconnects.
+   */
+  _forceReconnect(code, message) {
+    console.error(`🐕 Watchdog: ${message}. Forcing reconnect...`);
+    this.events.emit(BotEvents.ALERT, { level: "error", code, message });
+    this.stopHeartbeat();
+    this.ws.terminate();
+  }
+
+  // ------------------------------------------------------------------------
+  // Reconnect Mechanisms
+  // ------------------------------------------------------------------------
+
+  /**
+   * Exponential backoff with equal jitter, capped at RECONNECT_MAX_DELAY_MS.
+   */
+  _getReconnectDelay() {
+    const exponential = Math.min(
+      config.RECONNECT_MAX_DELAY_MS,
+      config.RECONNECT_BASE_DELAY_MS * Math.pow(2, this.reconnectAttempts)
+    );
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectTimer || !this.autoReconnect) return;
+
+    const delay = this._getReconnectDelay();
+    this.reconnectAttempts++;
+    this._setConnectionState(ConnectionState.RECONNECTING, {
+      attempt: this.reconnectAttempts,
+      delayMs: Math.round(delay),
+    });
+    console.log(`🔁 Reconnect attempt #${this.reconnectAttempts} in ${(delay / 1000).toFixed(1)}s...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._reconnect();
+    }, delay);
+  }
+
+  /**
+   * Re-opens the socket, re-authenticates and restores every remembered subscription.
+   */
+  async _reconnect() {
+    this.isReconnecting = true;
+    try {
+      await this.connect();
+      await this.authenticate();
+
+      await this._restoreSubscriptions();
+
+      console.log(`✅ Reconnected after ${this.reconnectAttempts} attempt(s).`);
+      this.isReconnecting = false;
+      this.reconnectAttempts = 0;
+      this._setConnectionState(ConnectionState.CONNECTED, { restored: true });
+      this.onReconnect();
+    } catch (error) {
+      console.error(`❌ Reconnect attempt #${this.reconnectAttempts} failed: ${error.message}`);
+      this.isReconnecting = false;
+      // Socket may still be open (e.g. auth failed); closing it reschedules via the close handler
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.close();
+      } else {
+        this._scheduleReconnect();
+      }
+    }
+  }
+
+  // ------------------------------------------------------------------------
+  // Market History
+  // ------------------------------------------------------------------------
+
+  /**
+   * Past ticks of a symbol as `[{ epoch, quote }]`, oldest first.
+   * Give `count` for the latest N ticks up to `end`, or `start`/`end` (epoch seconds)
+   * for a range; ranges larger than one page are fetched page by page.
+   */
+  async getTickHistory(symbol, { start, end = "latest", count } = {}) {
+    return this._fetchHistory(symbol, { style: "ticks", start, end, count });
+  }
+
+  /**
+   * Past OHLC candles of a symbol as `[{ epoch, open, high, low, close }]`, oldest first.
+   * `granularity` is the candle size in seconds (60, 120, 300, ... 86400).
+   */
+  async getCandles(symbol, { granularity = 60, start, end = "latest", count } = {}) {
+    return this._fetchHistory(symbol, { style: "candles", granularity, start, end, count });
+  }
+
+  /**
+   * Pages backwards from `end` until `count` items are collected or `start` is reached.
+   */
+  async _fetchHistory(symbol, { style, granularity, start, end, count }) {
+    const wanted = count ?? (start != null ? Infinity : MAX_HISTORY_PAGE);
+    const pages = [];
+    let collected = 0;
+    let pageEnd = end;
+
+    while (collected < wanted) {
+      const pageCount = Math.min(MAX_HISTORY_PAGE, wanted - collected);
+      const payload = { ticks_history: symbol, style, end: pageEnd, count: pageCount };
+      if (start != null) payload.start = start;
+      if (granularity) payload.granularity = granularity;
+
+      const response = await this.request(payload);
+      const page = style === "candles"
+        ? response.candles
+        : response.history.times.map((epoch, i) => ({ epoch, quote: response.history.prices[i] }));
+
+      pages.unshift(page);
+      collected += page.length;
+
+      // A short page means the start of the range (or of available data) was reached
+      if (page.length < pageCount) break;
+      pageEnd = page[0].epoch - 1;
+      if (start != null && pageEnd < start) break;
+    }
+
+    return pages.flat();
+  }
+
+  // ------------------------------------------------------------------------
+  // Request Bookkeeping
+  // ------------------------------------------------------------------------
+
+  /**
+   * Deriv calls are named by their first key, e.g. `{ buy: id, price }` is a `buy`.
+   */
+  _getMessageType(payload) {
+    return Object.keys(payload)[0];
+  }
+
+  /**
+   * No answer can arrive on a closed socket, so settle every in-flight request now.
+   */
+  _rejectPendingRequests() {
+    this.requestQueue.cancelAll();
+    for (const [req_id, { reject, msgType, timer }] of this.pendingRequests) {
+      clearTimeout(timer);
+      reject(new ConnectionClosedError(msgType, req_id));
+    }
+    this.pendingRequests.clear();
+  }
+
+  _setConnectionState(state, details = {}) {
+    this.connectionState = state;
+    this.events.emit(BotEvents.CONNECTION_STATE, { state, ...details });
   }
 
   _handleMessage(data) {
     try {
       const message = JSON.parse(data);
+      let isRequestResponse = false;
 
       // Attempt to resolve any pending Promise payload
       if (message.req_id && this.pendingRequests.has(message.req_id)) {
-        const { resolve } = this.pendingRequests.get(message.req_id);
+        const { resolve, timer } = this.pendingRequests.get(message.req_id);
+        clearTimeout(timer);
         this.pendingRequests.delete(message.req_id);
-        
+        isRequestResponse = true;
+
         // Always resolve to the caller so they handle custom API errors (like RateLimit)
         resolve(message);
       } else if (message.error) {
-        console.error(`🚨 Deriv API Error: [${message.error.code}] ${message.error.message}`);
+        const error = DerivApiError.from(message.error, message.msg_type);
+        console.error(`🚨 Deriv API Error (${error.name}): ${error.message}`);
       }
 
-      // Route custom stream events to subclass overrides
-      if (message.msg_type === "tick") {
-        this.onTick(message.tick);
-      } else if (message.msg_type === "proposal_open_contract") {
-        this.onContractUpdate(message.proposal_open_contract);
+      // Route stream updates to the handler of the subscription they belong to.
+      // First responses were resolved above and are delivered by subscribe() itself.
+      const subscriptionId = message.subscription?.id;
+      const entry = subscriptionId && !isRequestResponse ? this.subscriptions.get(this._getSubscriptionKey(message)) : undefined;
+      if (entry) {
+        entry.lastMessageAt = Date.now();
+        entry.isStreaming = true;
+        entry.awaitingFirstTick = false;
+        // A settled contract's own stream ends here
+        if (message.proposal_open_contract?.is_sold && subscriptionId !== entry.id) this.subscriptionKeys.delete(subscriptionId);
+        entry.handler(message);
       }
 
     } catch (error) {
@@ -134,10 +570,42 @@ export default class Deriv {
     }
   }
 
+  /**
+   * Registry key of the subscription a stream update belongs to. Deriv streams each contract
+   * of an all-contracts `proposal_open_contract` subscription under an id of its own, which
+   * is mapped to that subscription the first time it shows up.
+   */
+  _getSubscriptionKey(message) {
+    const id = message.subscription.id;
+    if (this.subscriptionKeys.has(id)) return this.subscriptionKeys.get(id);
+    if (message.msg_type !== "proposal_open_contract") return undefined;
+
+    for (const [key, entry] of this.subscriptions) {
+      if (entry.msgType === "proposal_open_contract" && !entry.payload.contract_id) {
+        this.subscriptionKeys.set(id, key);
+        return key;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Default subscription handler: publishes stream messages on the event bus.
+   */
+  _publishStreamMessage(message) {
+    if (message.msg_type === "tick") {
+      this.events.emit(BotEvents.TICK, message.tick);
+    } else if (message.msg_type === "proposal_open_contract") {
+      this.events.emit(BotEvents.CONTRACT_UPDATE, message.proposal_open_contract);
+    }
+  }
+
   // ------------------------------------------------------------------------
-  // Hooks for subclasses to override (Replaces EventEmitter)
+  // Hooks for subclasses to override (fed from the event bus)
   // ------------------------------------------------------------------------
   onTick(tickData) { }
   onContractUpdate(contractInfo) { }
   onDisconnect() { }
+  onReconnect() { }
+  onConnectionStateChange(state, details) { }
 }
@@ -0,0 +1,102 @@
+/**
+ * Every event the bot publishes. Emitting or subscribing to any other name throws,
+ * so a typo cannot silently create a dead channel.
+ *
+ * Payloads:
+ * - TICK:             Deriv `tick` object ({ symbol, quote, epoch, ... })
+ * - CONTRACT_UPDATE:  Deriv `proposal_open_contract` object (`is_simulated` for paper contracts)
+ * - TRADE_OPENED:     { id, symbol, action, buyPrice, simulated, sizing } (`sizing`: see `SizingDecision` in sizing/PositionSizer.js)
+ * - TRADE_CLOSED:     { id, symbol, action, profit, sellPrice, simulated }
+ * - TRADE_ADJUSTED:   { id, symbol, type, reason, profit, floor, stopLoss } stop moved or contract sold early (see core/PositionManager.js)
+ * - TRADE_FAILED:     { symbol, action, code, reason, retryable }
+ * - BALANCE:          { balance }
+ * - CONNECTION_STATE: { state, ...details } (see `ConnectionState` in Deriv.js; `restored` after a reconnect)
+ * - BOT_STATUS:       { status, schedule, settings } ("RUNNING" | "STOPPED" | "HALTED"); HALTED adds { code, reason, until, rearmable? };
+ *                     `schedule`: see `ScheduleState` in core/TradingSchedule.js; `settings`: { version, pendingVersion }
+ * - STRATEGY_STATE:   { symbol, strategy, from, to, reason, ... } internal strategy transition (e.g. squeeze arming)
+ * - SYMBOL_STATUS:    { symbol, strategy, positions, pendingBuys, cooldown, ...strategy.getStatus() } when it changes
+ * - POSITIONS:        { positions } every open position ({ id, symbol, direction, buyPrice, stake, profit, ... }) when they change
+ * - ALERT:            { level, code, message } ("warning" | "error") for operator attention
+ */
+export const BotEvents = Object.freeze({
+  TICK: "tick",
+  CONTRACT_UPDATE: "contract:update",
+  TRADE_OPENED: "trade:opened",
+  TRADE_CLOSED: "trade:closed",
+  TRADE_ADJUSTED: "trade:adjusted",
+  TRADE_FAILED: "trade:failed",
+  BALANCE: "balance",
+  CONNECTION_STATE: "connection:state",
+  BOT_STATUS: "bot:status",
+  STRATEGY_STATE: "strategy:state",
+  SYMBOL_STATUS: "symbol:status",
+  POSITIONS: "positions",
+  ALERT: "alert",
+});
+
+const KNOWN_EVENTS = new Set(Object.values(BotEvents));
+
+/**
+ * Event Bus
+ * Minimal in-process pub/sub so any number of modules (UI broadcaster, recorder,
+ * notifier, risk checks...) can observe the same bot events. A failing listener
+ * is logged and never prevents the others from running.
+ */
+export default class EventBus {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Registers a listener and returns a function that removes it.
+   */
+  on(event, listener) {
+    this._assertKnown(event);
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Registers a listener that is removed after its first call.
+   */
+  once(event, listener) {
+    const off = this.on(event, (payload) => {
+      off();
+      return listener(payload);
+    });
+    return off;
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    this._assertKnown(event);
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    // Copy so listeners may unsubscribe while being notified
+    for (const listener of [...listeners]) {
+      try {
+        const result = listener(payload);
+        if (result && typeof result.catch === "function") {
+          result.catch((error) => this._reportListenerError(event, error));
+        }
+      } catch (error) {
+        this._reportListenerError(event, error);
+      }
+    }
+  }
+
+  _assertKnown(event) {
+    if (!KNOWN_EVENTS.has(event)) {
+      throw new Error(`Unknown bot event '${event}'`);
+    }
+  }
+
+  _reportListenerError(event, error) {
+    console.error(`🚨 Listener for '${event}' failed:`, error);
+  }
+}
@@ -0,0 +1,138 @@
+import { BotEvents } from "./EventBus.js";
+import {
+  roundMoney,
+  calculateMultiplierCommission,
+  calculateMultiplierProfit,
+  getMultiplierExit,
+} from "../utils/multiplier.js";
+
+/**
+ * Paper Broker
+ * Fills multiplier contracts virtually at the latest live quote and settles their
+ * take-profit / stop-loss against live ticks. Contract updates are published as
+ * CONTRACT_UPDATE events shaped like Deriv's `proposal_open_contract`, so traders
+ * track paper positions through the same code path as real ones. The virtual
+ * balance is separate from the Deriv account.
+ */
+export default class PaperBroker {
+  /**
+   * @param {import("./EventBus.js").default} events
+   * @param {object} options
+   * @param {number} options.balance Starting virtual balance.
+   * @param {number} [options.commissionRate=0] Fraction of `stake * multiplier` charged per contract.
+   */
+  constructor(events, { balance, commissionRate = 0 }) {
+    this.events = events;
+    this.balance = balance;
+    this.commissionRate = commissionRate;
+    this.lastQuotes = new Map(); // symbol -> latest live quote
+    this.contracts = new Map(); // contract id -> open paper contract
+    this.sequence = 0;
+
+    this.events.on(BotEvents.TICK, (tick) => this._onTick(tick));
+  }
+
+  /**
+   * Opens a paper contract at the current quote. Mirrors the fields of Deriv's `buy` response.
+   */
+  buy({ symbol, contractType, stake, multiplier, limitOrder }) {
+    const spot = this.lastQuotes.get(symbol);
+    if (spot == null) {
+      throw new Error(`No live quote for ${symbol} to fill the paper trade at`);
+    }
+    if (this.balance < stake) {
+      throw new Error(`Paper balance $${this.balance.toFixed(2)} is below the $${stake} stake`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const contract = {
+      contract_id: `paper-${now}-${++this.sequence}`,
+      contract_type: contractType,
+      underlying: symbol,
+      buy_price: stake,
+      multiplier,
+      commission: calculateMultiplierCommission(stake, multiplier, this.commissionRate),
+      limit_order: limitOrder,
+      purchase_time: now,
+      entry_spot: spot,
+      is_simulated: 1,
+      is_sold: 0,
+    };
+    this._revalue(contract, spot);
+    this.contracts.set(contract.contract_id, contract);
+    this.balance = roundMoney(this.balance - stake);
+
+    return { contract_id: contract.contract_id, buy_price: stake, purchase_time: now };
+  }
+
+  /**
+   * Changes a paper contract's take-profit / stop-loss like Deriv's `contract_update`;
+   * a key set to null removes that order.
+   */
+  updateLimitOrder(contractId, limitOrder) {
+    const contract = this._getOpenContract(contractId);
+    const updated = { ...contract.limit_order, ...limitOrder };
+    if (updated.stop_loss != null && contract.profit <= -updated.stop_loss) {
+      throw new Error(`Stop loss $${updated.stop_loss} is already hit at profit $${contract.profit}`);
+    }
+    contract.limit_order = updated;
+    return { ...updated };
+  }
+
+  /**
+   * Closes a paper contract at its current value, like Deriv's `sell`.
+   */
+  sell(contractId) {
+    const contract = this._getOpenContract(contractId);
+    this._settle(contract, "sold");
+    return { contract_id: contractId, sold_for: contract.sell_price };
+  }
+
+  _getOpenContract(contractId) {
+    const contract = this.contracts.get(contractId);
+    if (!contract) {
+      throw new Error(`Paper contract ${contractId} is not open`);
+    }
+    return contract;
+  }
+
+  _onTick({ symbol, quote }) {
+    this.lastQuotes.set(symbol, quote);
+
+    for (const contract of this.contracts.values()) {
+      if (contract.underlying !== symbol) continue;
+
+      this._revalue(contract, quote);
+      const exit = getMultiplierExit(contract.profit, contract.buy_price, contract.limit_order);
+      if (exit) {
+        this._settle(contract, exit);
+      } else {
+        this.events.emit(BotEvents.CONTRACT_UPDATE, { ...contract });
+      }
+    }
+  }
+
+  _settle(contract, status) {
+    contract.is_sold = 1;
+    contract.status = status;
+    contract.sell_price = contract.bid_price;
+    contract.sell_time = contract.current_spot_time;
+    this.contracts.delete(contract.contract_id);
+    this.balance = roundMoney(this.balance + contract.sell_price);
+    this.events.emit(BotEvents.CONTRACT_UPDATE, { ...contract });
+  }
+
+  _revalue(contract, spot) {
+    contract.current_spot = spot;
+    contract.current_spot_time = Math.floor(Date.now() / 1000);
+    contract.profit = calculateMultiplierProfit({
+      contractType: contract.contract_type,
+      stake: contract.buy_price,
+      multiplier: contract.multiplier,
+      commission: contract.commission,
+      entrySpot: contract.entry_spot,
+      spot,
+    });
+    contract.bid_price = roundMoney(contract.buy_price + contract.profit);
+  }
+}
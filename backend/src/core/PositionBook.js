@@ -0,0 +1,114 @@
+/**
+ * @typedef {object} Position
+ * @property {string|number} id Deriv contract id.
+ * @property {string} symbol
+ * @property {"MULTUP"|"MULTDOWN"} contractType
+ * @property {"up"|"down"} direction
+ * @property {number} buyPrice
+ * @property {object|null} sizing Sizing decision behind the stake.
+ * @property {boolean} simulated Paper contract.
+ * @property {number} openedAt Epoch milliseconds.
+ * @property {number|null} profit Latest profit reported by `proposal_open_contract`.
+ * @property {number} [stopLoss] Stop loss amount currently set on the contract.
+ * @property {number} [stopFloor] Lowest profit the position may fall to (see core/PositionManager.js).
+ * @property {Promise} [entryRecorded] Pending DB insert of the trade, awaited before its exit is written.
+ */
+
+/**
+ * Position Book
+ * Every open contract of the account across all symbols, keyed by contract id, plus the
+ * buys still in flight. Enforces MAX_OPEN_POSITIONS in total and MAX_OPEN_PER_SYMBOL;
+ * in-flight buys count towards both so concurrent signals cannot overshoot them.
+ */
+export default class PositionBook {
+  /**
+   * @param {object} [limits]
+   * @param {number} [limits.maxOpen=0] Open positions across all symbols, 0 = no limit.
+   * @param {number} [limits.maxPerSymbol=1] Open positions per symbol, 0 = no limit.
+   */
+  constructor({ maxOpen = 0, maxPerSymbol = 1 } = {}) {
+    this.maxOpen = maxOpen;
+    this.maxPerSymbol = maxPerSymbol;
+    this.positions = new Map();
+    this.pending = new Map(); // symbol -> buys in flight
+  }
+
+  /** Open positions plus buys in flight. */
+  get size() {
+    return this.positions.size + this.pendingCount;
+  }
+
+  get pendingCount() {
+    return [...this.pending.values()].reduce((sum, count) => sum + count, 0);
+  }
+
+  has(id) {
+    return this.positions.has(id);
+  }
+
+  get(id) {
+    return this.positions.get(id);
+  }
+
+  all() {
+    return [...this.positions.values()];
+  }
+
+  forSymbol(symbol) {
+    return this.all().filter((position) => position.symbol === symbol);
+  }
+
+  pendingFor(symbol) {
+    return this.pending.get(symbol) || 0;
+  }
+
+  /**
+   * Returns why another position on `symbol` would exceed a limit, or null.
+   */
+  getEntryBlock(symbol) {
+    const symbolCount = this.forSymbol(symbol).length + this.pendingFor(symbol);
+    if (this.maxPerSymbol > 0 && symbolCount >= this.maxPerSymbol) {
+      return `${symbolCount} of ${this.maxPerSymbol} position(s) open on ${symbol}`;
+    }
+    if (this.maxOpen > 0 && this.size >= this.maxOpen) {
+      return `${this.size} of ${this.maxOpen} position(s) open in total`;
+    }
+    return null;
+  }
+
+  /**
+   * Holds a slot for a buy about to be sent.
+   */
+  reserve(symbol) {
+    this.pending.set(symbol, this.pendingFor(symbol) + 1);
+  }
+
+  /**
+   * Gives back the slot of a buy that was never filled.
+   */
+  release(symbol) {
+    const count = this.pendingFor(symbol) - 1;
+    if (count > 0) this.pending.set(symbol, count);
+    else this.pending.delete(symbol);
+  }
+
+  /**
+   * Books a filled contract. A reserved buy hands its slot over to the position.
+   * @param {Omit<Position, "openedAt"|"profit">} position
+   */
+  open(position, { reserved = true } = {}) {
+    if (reserved) this.release(position.symbol);
+    const booked = { openedAt: Date.now(), profit: null, ...position };
+    this.positions.set(position.id, booked);
+    return booked;
+  }
+
+  /**
+   * Removes a settled contract and returns its position.
+   */
+  close(id) {
+    const position = this.positions.get(id);
+    this.positions.delete(id);
+    return position;
+  }
+}
@@ -0,0 +1,72 @@
+import { roundMoney } from "../utils/multiplier.js";
+import config from "../config.js";
+
+/**
+ * @typedef {object} ManagementAction
+ * @property {"stop"|"sell"} type Tighten the stop, or close the contract now.
+ * @property {"break_even"|"trailing_stop"|"time_exit"|"stop_hit"} rule Rule that asked for it.
+ * @property {string} reason Human readable, recorded on the trade.
+ * @property {number} [floor] New profit floor of a "stop" action.
+ * @property {number|null} [stopLoss] Stop loss amount to set with `contract_update`, null when unchanged.
+ */
+
+/**
+ * Position Manager
+ * Active management rules evaluated on every `proposal_open_contract` update of an open
+ * position: a move to break-even, a trailing stop and a time-based exit. The stop is
+ * tracked as a floor on the position's profit. Deriv only holds a stop loss as a loss
+ * amount, so the floor goes out through `contract_update` while it is below
+ * -MIN_STOP_LOSS_AMOUNT; tighter floors (break-even, locked-in profit) set the tightest
+ * stop Deriv accepts and the bot sells itself when the profit falls back to the floor.
+ * Stop distances are fractions of the stake. State is kept on the position itself.
+ */
+export default class PositionManager {
+  constructor(rules = config) {
+    this.rules = rules;
+  }
+
+  /**
+   * Returns the action an update calls for, or null. Nothing is proposed while a
+   * previous action of the position is still in flight.
+   * @returns {ManagementAction|null}
+   */
+  evaluate(position, contractInfo, now = Date.now()) {
+    const { BREAK_EVEN_TRIGGER, TRAILING_STOP_TRIGGER, TRAILING_STOP_DISTANCE, STOP_UPDATE_STEP, MIN_STOP_LOSS_AMOUNT, MAX_TRADE_DURATION_S } = this.rules;
+    const stake = position.buyPrice;
+    const { profit } = contractInfo;
+    if (profit == null) return null;
+
+    position.peakProfit = Math.max(position.peakProfit ?? profit, profit);
+    if (position.actionInFlight || position.exitRequested) return null;
+
+    if (MAX_TRADE_DURATION_S > 0 && now - position.openedAt >= MAX_TRADE_DURATION_S * 1000) {
+      return { type: "sell", rule: "time_exit", reason: `held for over ${MAX_TRADE_DURATION_S}s` };
+    }
+    // Deriv enforces floors it can hold as a stop loss; the tighter ones are up to us
+    if (position.stopFloor != null && position.stopFloor > -MIN_STOP_LOSS_AMOUNT && profit <= position.stopFloor) {
+      return { type: "sell", rule: "stop_hit", reason: `profit $${profit.toFixed(2)} fell to the $${position.stopFloor.toFixed(2)} stop` };
+    }
+
+    let candidate = null;
+    if (BREAK_EVEN_TRIGGER > 0 && position.peakProfit >= BREAK_EVEN_TRIGGER * stake) {
+      candidate = { rule: "break_even", floor: 0, reason: `profit reached $${position.peakProfit.toFixed(2)}, stop moved to break-even` };
+    }
+    if (TRAILING_STOP_TRIGGER > 0 && position.peakProfit >= TRAILING_STOP_TRIGGER * stake) {
+      const floor = roundMoney(position.peakProfit - TRAILING_STOP_DISTANCE * stake);
+      if (!candidate || floor > candidate.floor) {
+        candidate = { rule: "trailing_stop", floor, reason: `trailing $${(TRAILING_STOP_DISTANCE * stake).toFixed(2)} below the $${position.peakProfit.toFixed(2)} peak` };
+      }
+    }
+    if (!candidate) return null;
+
+    // Only tighten, and by enough to be worth a contract_update (it shares the buy/sell rate limit)
+    if (position.stopFloor != null && candidate.floor < position.stopFloor + STOP_UPDATE_STEP * stake) return null;
+
+    const stopLoss = roundMoney(Math.max(-candidate.floor, MIN_STOP_LOSS_AMOUNT));
+    return {
+      type: "stop",
+      ...candidate,
+      stopLoss: stopLoss === position.stopLoss ? null : stopLoss,
+    };
+  }
+}
@@ -0,0 +1,161 @@
+import config from "../config.js";
+
+// Deriv groups calls into rate limit categories; trading calls must never wait behind the rest
+const CATEGORY_BY_MSG_TYPE = {
+  buy: "outcome",
+  sell: "outcome",
+  contract_update: "outcome",
+  cancel: "outcome",
+  proposal: "pricing",
+  proposal_open_contract: "pricing",
+};
+const CATEGORY_PRIORITY = ["outcome", "pricing", "general"];
+
+/**
+ * Classic token bucket: holds up to `capacity` tokens, refilled continuously over `intervalMs`.
+ */
+class TokenBucket {
+  constructor(capacity, intervalMs) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.refillPerMs = capacity / intervalMs;
+    this.lastRefill = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Milliseconds until one token is available (0 when one is available now).
+   */
+  msUntilAvailable() {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  take() {
+    this._refill();
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * Request Queue
+ * Outbound queue in front of the Deriv socket. Each call category is throttled by
+ * per-minute and per-hour token buckets (see RATE_LIMITS) and drained in priority
+ * order, so `buy`/`sell` go out before pricing and informational calls.
+ */
+export default class RequestQueue {
+  constructor(limits = config.RATE_LIMITS) {
+    this.categories = new Map();
+    for (const name of CATEGORY_PRIORITY) {
+      const { perMinute, perHour } = limits[name];
+      this.categories.set(name, {
+        queue: [],
+        buckets: [new TokenBucket(perMinute, 60 * 1000), new TokenBucket(perHour, 60 * 60 * 1000)],
+        stats: { dispatched: 0, throttled: 0, totalWaitMs: 0, maxWaitMs: 0 },
+      });
+    }
+    this.drainTimer = null;
+    this.isOverWarnDepth = false;
+  }
+
+  static categorize(msgType) {
+    return CATEGORY_BY_MSG_TYPE[msgType] || "general";
+  }
+
+  /**
+   * Queues a request. `dispatch` runs once the category has capacity;
+   * `cancel` is called instead if the queue is flushed first.
+   */
+  enqueue(msgType, dispatch, cancel) {
+    const category = this.categories.get(RequestQueue.categorize(msgType));
+    category.queue.push({ msgType, dispatch, cancel, enqueuedAt: Date.now() });
+    this._drain();
+    this._checkBackpressure();
+  }
+
+  /**
+   * Cancels every queued request, e.g. when the socket closes.
+   */
+  cancelAll() {
+    for (const category of this.categories.values()) {
+      const queued = category.queue;
+      category.queue = [];
+      queued.forEach((item) => item.cancel());
+    }
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+    this.isOverWarnDepth = false;
+  }
+
+  /**
+   * Queue depth and wait statistics per category.
+   */
+  getMetrics() {
+    const now = Date.now();
+    const categories = {};
+    let queued = 0;
+
+    for (const [name, { queue, stats }] of this.categories) {
+      queued += queue.length;
+      categories[name] = {
+        queued: queue.length,
+        oldestWaitMs: queue.length ? now - queue[0].enqueuedAt : 0,
+        dispatched: stats.dispatched,
+        throttled: stats.throttled,
+        avgWaitMs: stats.dispatched ? Math.round(stats.totalWaitMs / stats.dispatched) : 0,
+        maxWaitMs: stats.maxWaitMs,
+      };
+    }
+    return { queued, categories };
+  }
+
+  _drain() {
+    let nextWaitMs = Infinity;
+
+    for (const category of this.categories.values()) {
+      while (category.queue.length > 0) {
+        const waitMs = Math.max(...category.buckets.map((bucket) => bucket.msUntilAvailable()));
+        if (waitMs > 0) {
+          nextWaitMs = Math.min(nextWaitMs, waitMs);
+          break;
+        }
+
+        const item = category.queue.shift();
+        category.buckets.forEach((bucket) => bucket.take());
+        this._recordDispatch(category.stats, Date.now() - item.enqueuedAt);
+        item.dispatch();
+      }
+    }
+
+    if (nextWaitMs !== Infinity && !this.drainTimer) {
+      this.drainTimer = setTimeout(() => {
+        this.drainTimer = null;
+        this._drain();
+      }, nextWaitMs);
+    }
+  }
+
+  _recordDispatch(stats, waitMs) {
+    stats.dispatched++;
+    stats.totalWaitMs += waitMs;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+    if (waitMs > 0) stats.throttled++;
+  }
+
+  _checkBackpressure() {
+    const { queued } = this.getMetrics();
+    if (queued >= config.REQUEST_QUEUE_WARN_DEPTH && !this.isOverWarnDepth) {
+      this.isOverWarnDepth = true;
+      console.warn(`⚠️ Deriv request queue backing up: ${queued} requests waiting for rate limit capacity.`);
+    } else if (queued < config.REQUEST_QUEUE_WARN_DEPTH) {
+      this.isOverWarnDepth = false;
+    }
+  }
+}
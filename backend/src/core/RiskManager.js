@@ -0,0 +1,180 @@
+import { BotEvents } from "./EventBus.js";
+import CircuitBreaker from "./CircuitBreaker.js";
+import { getTradingDay, getDailyStat, markDailyCapReached, recordDailyTradeTaken } from "../modules/database.js";
+import config from "../config.js";
+
+/**
+ * Risk Manager
+ * Consulted before every entry. Tracks the trading day's realised profit and trade count
+ * against the daily limits and, once one is hit, halts new entries until the next trading
+ * day (UTC, the DailyStat key). Positions already open keep being managed.
+ * In live mode the day is restored from, and the halt persisted to, DailyStat so a restart
+ * cannot lift it; paper trades stay out of DailyStat and are counted in memory only.
+ * Cooldowns and the consecutive-loss / drawdown breaker are delegated to `CircuitBreaker`.
+ */
+export default class RiskManager {
+  constructor(events, { persist = true, onChange = () => { } } = {}) {
+    this.events = events;
+    this.persist = persist;
+    this.onChange = onChange;
+    this.rolloverTimer = null;
+    this.pendingEntries = 0;
+    this.breaker = new CircuitBreaker(events, { onChange });
+    this._startDay(getTradingDay());
+  }
+
+  get isHalted() {
+    return this.currentHalt !== null;
+  }
+
+  /**
+   * The halt in force ({ code, reason, until, rearmable? }): the daily one first, then the breaker's.
+   */
+  get currentHalt() {
+    return this.halt ?? this.breaker.trip;
+  }
+
+  /**
+   * Picks up today's profit, trade count and cap flag recorded before a restart.
+   */
+  async init() {
+    if (!this.persist) return;
+
+    const stat = await getDailyStat(this.day);
+    if (!stat) return;
+
+    this.profit = stat.accumulated_profit;
+    this.tradesTaken = stat.trades_taken;
+    if (stat.is_cap_reached) {
+      this._halt("DAILY_CAP", stat.cap_reason || "Daily limit reached", { restored: true });
+    } else {
+      this._checkLimits();
+    }
+  }
+
+  dispose() {
+    clearTimeout(this.rolloverTimer);
+    this.breaker.dispose();
+  }
+
+  /**
+   * Returns why a new entry on `symbol` is not allowed right now, or null.
+   */
+  getEntryBlock(symbol) {
+    this._rollDay();
+    if (this.halt) return this.halt.reason;
+
+    const breakerBlock = this.breaker.getEntryBlock(symbol);
+    if (breakerBlock) return breakerBlock;
+
+    const { DAILY_MAX_TRADES } = config;
+    if (DAILY_MAX_TRADES > 0 && this.tradesTaken + this.pendingEntries >= DAILY_MAX_TRADES) {
+      return `Daily trade limit reached (${this.tradesTaken} of ${DAILY_MAX_TRADES} trades, ${this.pendingEntries} pending)`;
+    }
+    return null;
+  }
+
+  /**
+   * Holds a trade slot for an entry about to be placed, so concurrent signals cannot
+   * overshoot the trade limit while buys are in flight.
+   */
+  reserveEntry() {
+    this.pendingEntries++;
+  }
+
+  /**
+   * The reserved entry was filled.
+   */
+  confirmEntry() {
+    this.pendingEntries = Math.max(this.pendingEntries - 1, 0);
+    this._rollDay();
+    this.tradesTaken++;
+    if (this.persist) recordDailyTradeTaken(this.day);
+    this._checkLimits();
+  }
+
+  /**
+   * The reserved entry was never filled.
+   */
+  releaseEntry() {
+    this.pendingEntries = Math.max(this.pendingEntries - 1, 0);
+  }
+
+  /**
+   * Books a closed trade's profit against the daily limits and the circuit breaker.
+   */
+  recordResult(symbol, profit) {
+    this._rollDay();
+    this.profit += profit;
+    this._checkLimits();
+    this.breaker.recordResult(symbol, profit);
+  }
+
+  /**
+   * Books a live trade that Deriv settled while the bot was down, found by startup reconciliation.
+   * Only the day's limits see it; cooldowns and the breaker start afresh after a restart anyway.
+   */
+  recordSettledResult(profit, day) {
+    this._rollDay();
+    if (!this.persist || day !== this.day) return;
+    this.profit += profit;
+    this._checkLimits();
+  }
+
+  _checkLimits() {
+    if (this.halt) return;
+    const { DAILY_TAKE_PROFIT, DAILY_MAX_LOSS, DAILY_MAX_TRADES } = config;
+
+    if (DAILY_TAKE_PROFIT > 0 && this.profit >= DAILY_TAKE_PROFIT) {
+      this._halt("DAILY_TAKE_PROFIT", `Daily profit target reached ($${this.profit.toFixed(2)} of $${DAILY_TAKE_PROFIT.toFixed(2)})`);
+    } else if (DAILY_MAX_LOSS > 0 && this.profit <= -DAILY_MAX_LOSS) {
+      this._halt("DAILY_MAX_LOSS", `Daily loss limit reached ($${this.profit.toFixed(2)}, limit -$${DAILY_MAX_LOSS.toFixed(2)})`);
+    } else if (DAILY_MAX_TRADES > 0 && this.tradesTaken >= DAILY_MAX_TRADES) {
+      this._halt("DAILY_MAX_TRADES", `Daily trade limit reached (${this.tradesTaken} of ${DAILY_MAX_TRADES} trades)`);
+    }
+  }
+
+  _halt(code, reason, { restored = false } = {}) {
+    this.halt = { code, reason, until: this._nextDayStart().toISOString() };
+    console.warn(`🛑 Trading HALTED until the next trading day: ${reason}`);
+
+    if (this.persist && !restored) markDailyCapReached(this.day, reason);
+    this.events.emit(BotEvents.ALERT, { level: "warning", code, message: `Trading halted until the next trading day: ${reason}` });
+    this._scheduleRollover();
+    this.onChange();
+  }
+
+  /**
+   * Fires at the start of the next trading day so the halt lifts without waiting for a signal.
+   */
+  _scheduleRollover() {
+    clearTimeout(this.rolloverTimer);
+    this.rolloverTimer = setTimeout(() => this._rollDay(), this._nextDayStart() - Date.now() + 1000);
+  }
+
+  _rollDay() {
+    const day = getTradingDay();
+    if (day === this.day) return;
+
+    const wasHalted = this.halt !== null;
+    this._startDay(day);
+    if (wasHalted) {
+      console.log(`▶️ New trading day ${day}: daily limits reset, trading resumed.`);
+      this.onChange();
+    }
+  }
+
+  _startDay(day) {
+    clearTimeout(this.rolloverTimer);
+    this.day = day;
+    this.profit = 0;
+    this.tradesTaken = 0;
+    this.halt = null;
+  }
+
+  _nextDayStart() {
+    const start = new Date(`${this.day}T00:00:00.000Z`);
+    start.setUTCDate(start.getUTCDate() + 1);
+    return start;
+  }
+}
@@ -0,0 +1,56 @@
+import config from "../config.js";
+
+/**
+ * Strategy settings that can be changed while the bot runs, through /api/settings.
+ * Bounds keep a typo from reaching Deriv; Deriv still has the final word on stake and multiplier.
+ */
+export const EDITABLE_SETTINGS = Object.freeze({
+  STAKE_AMOUNT: { min: 0.35, max: 10000 },
+  MULTIPLIER: { min: 1, max: 5000, integer: true },
+  SQUEEZE_THRESHOLD: { min: 0, max: 1, exclusiveMin: true },
+  TAKE_PROFIT_MULTIPLIER: { min: 0, max: 100, exclusiveMin: true },
+  STOP_LOSS_MULTIPLIER: { min: 0, max: 1, exclusiveMin: true }, // A stop loss cannot exceed the stake
+  TICK_LIMIT: { min: 2, max: 1000, integer: true },
+});
+
+/**
+ * The editable settings currently in `config`.
+ */
+export const getStrategySettings = () =>
+  Object.fromEntries(Object.keys(EDITABLE_SETTINGS).map((name) => [name, config[name]]));
+
+/**
+ * Validates a partial update on top of `base` (the current settings by default).
+ * @returns {{ settings: object, errors: string[] }} The complete settings, and every problem found.
+ */
+export const validateStrategySettings = (update, base = getStrategySettings()) => {
+  const errors = [];
+  if (!update || typeof update !== "object" || Array.isArray(update)) {
+    return { settings: base, errors: ["Settings must be an object"] };
+  }
+
+  const settings = { ...base };
+  for (const [name, value] of Object.entries(update)) {
+    const rule = EDITABLE_SETTINGS[name];
+    if (!rule) {
+      errors.push(`${name} is not an editable setting (editable: ${Object.keys(EDITABLE_SETTINGS).join(", ")})`);
+      continue;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${name} must be a number`);
+    } else if (rule.integer && !Number.isInteger(value)) {
+      errors.push(`${name} must be a whole number`);
+    } else if (value > rule.max || (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+      errors.push(`${name} must be ${rule.exclusiveMin ? "above" : "at least"} ${rule.min} and at most ${rule.max}`);
+    } else {
+      settings[name] = value;
+    }
+  }
+
+  // Cross-field rules, once every field is valid on its own
+  const disarm = config.SQUEEZE_DISARM_THRESHOLD;
+  if (errors.length === 0 && disarm !== null && settings.SQUEEZE_THRESHOLD < disarm) {
+    errors.push(`SQUEEZE_THRESHOLD must be at least SQUEEZE_DISARM_THRESHOLD (${disarm})`);
+  }
+  return { settings, errors };
+};
@@ -0,0 +1,567 @@
+import { BotEvents } from "./EventBus.js";
+import config from "../config.js";
+import { createStrategy } from "../strategies/index.js";
+import PositionSizer from "../sizing/PositionSizer.js";
+import CandleBuilder from "../utils/CandleBuilder.js";
+import { recordTradeEntry, recordTradeExit, recordTradeAdjustment } from "../modules/database.js";
+import { roundMoney } from "../utils/multiplier.js";
+import {
+  RequestTimeoutError,
+  ConnectionClosedError,
+  AuthorizationError,
+  InsufficientBalanceError,
+} from "./errors.js";
+
+const RECONCILE_RETRY_MS = 5000;
+// Pause before a failed stop update or sell may be retried
+const MANAGE_RETRY_MS = 5000;
+// Tolerates clock skew between us and Deriv when matching purchase times
+const PURCHASE_TIME_SLACK_S = 5;
+
+/**
+ * Resolves the trading settings of one symbol: global config with its SYMBOL_OVERRIDES applied.
+ */
+export const getSymbolSettings = (symbol) => {
+  const { params = {}, ...overrides } = config.SYMBOL_OVERRIDES[symbol] || {};
+  return {
+    STRATEGY: config.STRATEGY,
+    STAKE_AMOUNT: config.STAKE_AMOUNT,
+    SIZING_MODE: config.SIZING_MODE,
+    SIZING_PARAMS: config.SIZING_PARAMS,
+    MULTIPLIER: config.MULTIPLIER,
+    TAKE_PROFIT_MULTIPLIER: config.TAKE_PROFIT_MULTIPLIER,
+    STOP_LOSS_MULTIPLIER: config.STOP_LOSS_MULTIPLIER,
+    ...overrides,
+    params,
+  };
+};
+
+/**
+ * Symbol Trader
+ * Runs one strategy instance on one symbol: its market data, its open positions and
+ * the proposal + buy flow. The owning `TradingEngine` provides the shared Deriv
+ * connection, the account balance, the position book and the global pause state.
+ */
+export default class SymbolTrader {
+  constructor(engine, symbol) {
+    this.engine = engine;
+    this.deriv = engine.deriv;
+    this.events = engine.events;
+    this.symbol = symbol;
+    this.positions = engine.positions;
+    this.lastTickEpoch = 0;
+    this.lastStatusJson = null;
+    this.isReconfiguring = false;
+    this.configure();
+  }
+
+  /**
+   * Builds the strategy and sizer from the symbol's current settings, without installing them.
+   * Throws when the settings do not make a valid strategy.
+   */
+  build() {
+    const settings = getSymbolSettings(this.symbol);
+    const strategy = createStrategy(settings.STRATEGY, {
+      symbol: this.symbol,
+      params: settings.params,
+      onStateChange: (change) => this._onStrategyStateChange(change),
+    });
+    const sizer = new PositionSizer(settings);
+    const candleBuilder = strategy.candleGranularity ? new CandleBuilder(strategy.candleGranularity) : null;
+    return { settings, strategy, sizer, candleBuilder };
+  }
+
+  /**
+   * Installs a strategy and sizer, built from the symbol's current settings by default.
+   */
+  configure(components = this.build()) {
+    Object.assign(this, components);
+    console.log(`🚀 Initialized ${this.strategy.constructor.name} for asset: ${this.symbol} (Multiplier: ${this.settings.MULTIPLIER}x, sizing: ${this.settings.SIZING_MODE})`);
+  }
+
+  /**
+   * Swaps in a new strategy and sizer after a live settings change and warms them up again.
+   * The engine only calls this with no position open; live ticks wait until it is done.
+   */
+  async reconfigure(components) {
+    this.isReconfiguring = true;
+    try {
+      await this.strategy.dispose();
+      this.configure(components);
+      await this.strategy.init();
+      await this.warmUp();
+    } finally {
+      this.isReconfiguring = false;
+    }
+    this._publishStatus();
+  }
+
+  /**
+   * Snapshot shown per symbol in the dashboard.
+   */
+  getStatus() {
+    return {
+      symbol: this.symbol,
+      strategy: this.settings.STRATEGY,
+      ...this.strategy.getStatus(),
+      positions: this.positions.forSymbol(this.symbol).map(({ id, direction }) => ({ id, direction })),
+      pendingBuys: this.positions.pendingFor(this.symbol),
+      cooldown: this.engine.risk.breaker.getCooldown(this.symbol),
+    };
+  }
+
+  /**
+   * Emits SYMBOL_STATUS when anything shown in the dashboard changed.
+   */
+  _publishStatus() {
+    const status = this.getStatus();
+    const statusJson = JSON.stringify(status);
+    if (statusJson === this.lastStatusJson) return;
+
+    this.lastStatusJson = statusJson;
+    this.events.emit(BotEvents.SYMBOL_STATUS, status);
+  }
+
+  _onStrategyStateChange(change) {
+    console.log(`🔀 ${this.symbol} ${change.from} → ${change.to} (${change.reason})`);
+    this.events.emit(BotEvents.STRATEGY_STATE, { symbol: this.symbol, strategy: this.settings.STRATEGY, ...change });
+  }
+
+  // ------------------------------------------------------------------------
+  // Market Data
+  // ------------------------------------------------------------------------
+
+  onTick(tickData) {
+    // Skip ticks while rebuilding, and those the history warm-up already replayed
+    if (this.isReconfiguring || tickData.epoch <= this.lastTickEpoch) return;
+    this.lastTickEpoch = tickData.epoch;
+
+    this._feedTick(tickData, false);
+  }
+
+  /**
+   * Passes a tick (and any candle it closes) to the strategy and acts on the signal.
+   */
+  _feedTick(tickData, isWarmup) {
+    this.sizer.onTick(tickData);
+    const openPositions = this.positions.forSymbol(this.symbol).length + this.positions.pendingFor(this.symbol);
+    const context = {
+      hasOpenPosition: openPositions > 0,
+      openPositions,
+      canOpenPosition: !this.engine.getEntryBlock(this.symbol),
+      exitOnSignal: config.EXIT_ON_OPPOSITE_SIGNAL,
+      isWarmup,
+    };
+    const signals = [this.strategy.onTick(tickData, context)];
+
+    const candle = this.candleBuilder?.push(tickData);
+    if (candle) signals.push(this.strategy.onCandle(candle, context));
+
+    const signal = signals.find(Boolean);
+    if (signal && !isWarmup) this._onSignal(signal);
+    if (!isWarmup) this._publishStatus();
+  }
+
+  /**
+   * Exits the positions a signal contradicts (EXIT_ON_OPPOSITE_SIGNAL), then enters if the limits allow.
+   */
+  _onSignal(signal) {
+    if (config.EXIT_ON_OPPOSITE_SIGNAL) {
+      const reason = `opposite ${signal.direction.toUpperCase()} signal${signal.reason ? ` (${signal.reason})` : ''}`;
+      this.positions.forSymbol(this.symbol)
+        .filter((position) => position.direction !== signal.direction)
+        .forEach((position) => this._manage(position, { type: "sell", rule: "opposite_signal", reason }));
+    }
+    if (this.engine.getEntryBlock(this.symbol)) return;
+
+    console.log(`📡 ${this.symbol} ${this.strategy.constructor.name} signal: ${signal.direction.toUpperCase()}${signal.reason ? ` (${signal.reason})` : ''}`);
+    this.executeTrade(signal.contractType, signal.direction);
+  }
+
+  /**
+   * Replays recent history through the strategy so signals are available immediately
+   * instead of after a live warm-up. Falls back to live warm-up on failure.
+   */
+  async warmUp() {
+    const count = Math.max(this.strategy.warmupTicks, this.sizer.warmupTicks);
+    if (count === 0) return;
+
+    try {
+      const ticks = await this.deriv.getTickHistory(this.symbol, { count });
+      if (ticks.length === 0) return;
+
+      ticks.forEach((tick) => this._feedTick({ ...tick, symbol: this.symbol }, true));
+      this.lastTickEpoch = ticks[ticks.length - 1].epoch;
+      console.log(`🔥 ${this.symbol} warmed with ${ticks.length} historical ticks.`);
+    } catch (error) {
+      console.error(`⚠️ Could not warm ${this.symbol} from history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ticks from before a connection gap no longer describe the market.
+   */
+  reset() {
+    this.strategy.reset();
+    this.sizer.reset();
+    this.candleBuilder?.reset();
+    this._publishStatus();
+  }
+
+  /**
+   * Open contracts may have settled while we were offline; their final updates are not replayed.
+   */
+  async refreshOpenContracts() {
+    // Paper contracts settle locally and never miss an update
+    if (this.engine.isPaper) return;
+
+    for (const position of this.positions.forSymbol(this.symbol)) {
+      await this._refreshContract(position.id);
+    }
+  }
+
+  async _refreshContract(contractId) {
+    try {
+      const response = await this.deriv.request({ proposal_open_contract: 1, contract_id: contractId });
+      await this.onContractUpdate(response.proposal_open_contract);
+    } catch (error) {
+      console.error(`⚠️ Could not refresh open contract ${contractId}: ${error.message}`);
+    }
+  }
+
+  // ------------------------------------------------------------------------
+  // Positions
+  // ------------------------------------------------------------------------
+
+  /**
+   * Invoked with updates of this symbol's contracts (the engine routes them by contract id).
+   */
+  async onContractUpdate(contractInfo) {
+    const position = this.positions.get(contractInfo.contract_id);
+    if (!position) return;
+
+    this.strategy.onContractUpdate(contractInfo);
+    position.profit = contractInfo.profit ?? position.profit;
+
+    if (!contractInfo.is_sold) {
+      const action = this.engine.positionManager.evaluate(position, contractInfo);
+      if (action) this._manage(position, action);
+      this.engine.publishPositions();
+      return;
+    }
+
+    // Settle once: a refresh can race the stream's final update
+    this.positions.close(position.id);
+    const balance = this.engine.applyTradeResult(this.symbol, contractInfo.profit);
+    console.log(`✅ Closed ${this.symbol} trade bet ${position.direction.toUpperCase()} | Profit: $${contractInfo.profit} | New Balance: $${balance.toFixed(2)}`);
+    // A quick close must not overtake the entry insert, or the exit would match no OPEN trade
+    await position.entryRecorded;
+    // The balance stream may not have caught up with the sale yet, so store the computed flat balance
+    await recordTradeExit(position.id, contractInfo.sell_price, contractInfo.profit, balance);
+
+    const trade = {
+      id: position.id,
+      symbol: this.symbol,
+      action: position.direction === 'up' ? 'BUY' : 'SELL',
+      profit: contractInfo.profit,
+      sellPrice: contractInfo.sell_price,
+      simulated: position.simulated,
+    };
+    this.events.emit(BotEvents.TRADE_CLOSED, trade);
+    this.strategy.onTradeClosed(trade);
+    this.sizer.onTradeClosed(trade);
+
+    this._onPositionsChanged();
+    this.engine.scheduleBalanceCheck();
+  }
+
+  /**
+   * The rigid 2-step API proposal + buy process mapped out cleanly based on OOP Promises
+   */
+  async executeTrade(contractType, directionLabel) {
+    if (this.engine.getEntryBlock(this.symbol)) return;
+
+    const sizing = this.sizer.size(this.engine.tradingBalance);
+    if (!sizing.stake) {
+      this._onSizingRejected(sizing, directionLabel);
+      return;
+    }
+
+    this.positions.reserve(this.symbol);
+    this.engine.risk.reserveEntry();
+    this._publishStatus();
+    let requestedAt = null;
+    const { stake } = sizing;
+    const { MULTIPLIER, TAKE_PROFIT_MULTIPLIER, STOP_LOSS_MULTIPLIER } = this.settings;
+    const limitOrder = {
+      take_profit: roundMoney(stake * TAKE_PROFIT_MULTIPLIER),
+      stop_loss: roundMoney(stake * STOP_LOSS_MULTIPLIER)
+    };
+    const order = { contractType, directionLabel, sizing, limitOrder };
+
+    try {
+      if (this.engine.isPaper) {
+        const fill = this.engine.paperBroker.buy({
+          symbol: this.symbol,
+          contractType,
+          stake,
+          multiplier: MULTIPLIER,
+          limitOrder
+        });
+        this._adoptContract(fill.contract_id, fill.buy_price, order);
+        return;
+      }
+
+      // Step 1: Request Proposal
+      const proposalPayload = {
+        proposal: 1,
+        amount: stake,
+        basis: "stake",
+        contract_type: contractType,
+        currency: "USD",
+        multiplier: MULTIPLIER,
+        symbol: this.symbol,
+        limit_order: limitOrder
+      };
+
+      const proposalResponse = await this.deriv.request(proposalPayload);
+
+      // Step 2: Execute Buy
+      const buyPayload = {
+        buy: proposalResponse.proposal.id,
+        price: stake
+      };
+
+      requestedAt = Math.floor(Date.now() / 1000);
+      const buyResponse = await this.deriv.request(buyPayload);
+
+      this._adoptContract(buyResponse.buy.contract_id, buyResponse.buy.buy_price, order);
+
+    } catch (error) {
+      console.error(`❌ ${this.symbol} Trade Execution Failed: ${error.message}`);
+
+      // A buy that got no answer may still have been filled; keep the slot until we know
+      const isUnconfirmed = error instanceof RequestTimeoutError || (error instanceof ConnectionClosedError && error.wasSent);
+      if (isUnconfirmed && error.msgType === "buy") {
+        await this._reconcileUnconfirmedBuy({ ...order, requestedAt });
+        return;
+      }
+
+      this._releaseEntry();
+      const failure = {
+        symbol: this.symbol,
+        action: directionLabel === 'up' ? 'BUY' : 'SELL',
+        code: error.code || error.name,
+        reason: error.reason || error.message,
+        retryable: Boolean(error.retryable),
+      };
+      this.events.emit(BotEvents.TRADE_FAILED, failure);
+      this.strategy.onTradeFailed(failure);
+
+      if (error instanceof AuthorizationError || error instanceof InsufficientBalanceError) {
+        // Retrying cannot fix these; wait for the user to sort out the account
+        this.engine.pauseManual(`after ${error.name}`);
+      } else if (error.retryable) {
+        this.engine.pause(2000);
+      }
+    }
+  }
+
+  /**
+   * The sizing limits leave no valid stake (e.g. the balance is too low for the risk limit).
+   */
+  _onSizingRejected(sizing, directionLabel) {
+    console.warn(`📏 ${this.symbol} trade skipped by position sizing: ${sizing.rejected}`);
+    const failure = {
+      symbol: this.symbol,
+      action: directionLabel === 'up' ? 'BUY' : 'SELL',
+      code: "SizingRejected",
+      reason: sizing.rejected,
+      retryable: false,
+    };
+    this.events.emit(BotEvents.TRADE_FAILED, failure);
+    this.strategy.onTradeFailed(failure);
+  }
+
+  /**
+   * Books a bought contract as an open position, notifies the UI and logs it to the DB.
+   * @param {{ contractType: string, directionLabel: string, sizing: object, limitOrder: object }} order What was bought.
+   */
+  _adoptContract(contractId, buyPrice, { contractType, directionLabel, sizing, limitOrder }) {
+    const position = this.positions.open({
+      id: contractId,
+      symbol: this.symbol,
+      contractType,
+      direction: directionLabel,
+      buyPrice,
+      sizing,
+      simulated: this.engine.isPaper,
+      stopLoss: limitOrder.stop_loss,
+      stopFloor: -limitOrder.stop_loss,
+    });
+
+    console.log(`✅ Made ${this.engine.isPaper ? 'paper ' : ''}${this.symbol} trade bet ${directionLabel.toUpperCase()}`);
+
+    const trade = {
+      id: contractId,
+      symbol: this.symbol,
+      action: directionLabel === 'up' ? 'BUY' : 'SELL',
+      buyPrice,
+      simulated: this.engine.isPaper,
+      sizing,
+    };
+    this.events.emit(BotEvents.TRADE_OPENED, trade);
+    this.strategy.onTradeOpened(trade);
+    this._onPositionsChanged();
+    this.engine.risk.confirmEntry();
+
+    // Async log entry to DB; the exit waits for it
+    position.entryRecorded = recordTradeEntry(contractId, this.symbol, buyPrice, contractType, this.engine.isPaper, sizing);
+  }
+
+  /**
+   * Takes over a contract opened before a restart (see TradeReconciler) and applies its latest update.
+   * @param {object} trade The OPEN `Trade` document.
+   * @param {object} contractInfo Deriv's `proposal_open_contract` for it.
+   */
+  async restorePosition(trade, contractInfo) {
+    // Deriv reports the stop as a signed order amount; the simulator as the plain amount
+    const stopLoss = contractInfo.limit_order?.stop_loss;
+    const stopAmount = stopLoss == null ? null : Math.abs(stopLoss.order_amount ?? stopLoss);
+
+    this.positions.open({
+      id: contractInfo.contract_id,
+      symbol: this.symbol,
+      contractType: contractInfo.contract_type,
+      direction: contractInfo.contract_type === "MULTUP" ? "up" : "down",
+      buyPrice: contractInfo.buy_price,
+      sizing: trade.sizing?.stake != null ? trade.sizing : null,
+      simulated: false,
+      openedAt: (contractInfo.date_start ?? contractInfo.purchase_time) * 1000,
+      ...(stopAmount != null && { stopLoss: stopAmount, stopFloor: -stopAmount }),
+    }, { reserved: false });
+    // The authorize balance has this stake paid out, while the computed balance counts flat
+    // (only profits); put it back so the settlement squares with Deriv's sell_price credit
+    if (!this.engine.isPaper) this.engine.computedBalance += contractInfo.buy_price;
+    console.log(`🧾 Re-adopted open ${this.symbol} contract ${contractInfo.contract_id} bet ${contractInfo.contract_type === "MULTUP" ? "UP" : "DOWN"}.`);
+
+    this._onPositionsChanged();
+    await this.onContractUpdate(contractInfo);
+  }
+
+  /**
+   * Looks the unanswered buy up on the account. Retries until Deriv can be asked,
+   * so the bot never assumes a buy failed when it may hold a live contract.
+   */
+  async _reconcileUnconfirmedBuy(buy) {
+    try {
+      const contract = await this._findContractBoughtSince(buy.contractType, buy.requestedAt - PURCHASE_TIME_SLACK_S);
+
+      if (!contract) {
+        console.log(`🧾 Unconfirmed ${this.symbol} buy did not go through.`);
+        this._releaseEntry();
+        return;
+      }
+
+      console.log(`🧾 Unconfirmed ${this.symbol} buy went through as contract ${contract.contract_id}.`);
+      this._adoptContract(contract.contract_id, contract.buy_price, buy);
+
+      // It may already have hit TP/SL while we were unsure
+      await this._refreshContract(contract.contract_id);
+    } catch (error) {
+      console.error(`⚠️ Could not reconcile unconfirmed ${this.symbol} buy, retrying in ${RECONCILE_RETRY_MS}ms: ${error.message}`);
+      setTimeout(() => this._reconcileUnconfirmedBuy(buy), RECONCILE_RETRY_MS);
+    }
+  }
+
+  /**
+   * Searches open positions, then recently closed ones, for a contract of the given
+   * type on our symbol purchased at or after `since` (epoch seconds) that is not in the book yet.
+   */
+  async _findContractBoughtSince(contractType, since) {
+    const portfolioResponse = await this.deriv.request({ portfolio: 1 });
+
+    const openContract = portfolioResponse.portfolio.contracts.find((c) =>
+      c.contract_type === contractType && c.symbol === this.symbol && c.purchase_time >= since && !this.positions.has(c.contract_id)
+    );
+    if (openContract) return openContract;
+
+    const profitResponse = await this.deriv.request({ profit_table: 1, description: 1, date_from: since, sort: "DESC", limit: 25 });
+
+    return profitResponse.profit_table.transactions.find((t) =>
+      t.shortcode && t.shortcode.startsWith(`${contractType}_${this.symbol}_`) && t.purchase_time >= since && !this.positions.has(t.contract_id)
+    ) || null;
+  }
+
+  // ------------------------------------------------------------------------
+  // Active Management
+  // ------------------------------------------------------------------------
+
+  /**
+   * Carries out a management action (see `PositionManager`) and records it on the trade.
+   * One action per position at a time; a failed one may be retried after MANAGE_RETRY_MS.
+   */
+  async _manage(position, action) {
+    if (position.actionInFlight || position.exitRequested) return;
+    position.actionInFlight = true;
+
+    try {
+      if (action.type === "sell") {
+        position.exitRequested = true;
+        console.log(`🚪 Closing ${this.symbol} contract ${position.id} early: ${action.reason}`);
+        await this._sellContract(position.id);
+      } else {
+        if (action.stopLoss != null) {
+          await this._updateStopLoss(position.id, action.stopLoss);
+          position.stopLoss = action.stopLoss;
+        }
+        position.stopFloor = action.floor;
+        console.log(`🛡️ ${this.symbol} contract ${position.id} stop at $${action.floor.toFixed(2)} profit: ${action.reason}`);
+        this.engine.publishPositions();
+      }
+      this._recordAdjustment(position, action);
+      position.actionInFlight = false;
+    } catch (error) {
+      position.exitRequested = false;
+      console.error(`⚠️ Could not ${action.type === "sell" ? "sell" : "move the stop of"} ${this.symbol} contract ${position.id}: ${error.message}`);
+      setTimeout(() => { position.actionInFlight = false; }, MANAGE_RETRY_MS);
+    }
+  }
+
+  async _sellContract(contractId) {
+    if (this.engine.isPaper) return this.engine.paperBroker.sell(contractId);
+    // Price 0 sells at whatever the contract is worth now
+    return this.deriv.request({ sell: contractId, price: 0 });
+  }
+
+  async _updateStopLoss(contractId, stopLoss) {
+    if (this.engine.isPaper) return this.engine.paperBroker.updateLimitOrder(contractId, { stop_loss: stopLoss });
+    return this.deriv.request({ contract_update: 1, contract_id: contractId, limit_order: { stop_loss: stopLoss } });
+  }
+
+  _recordAdjustment(position, action) {
+    const adjustment = {
+      type: action.rule,
+      reason: action.reason,
+      profit: position.profit,
+      floor: action.floor ?? null,
+      stopLoss: action.type === "stop" ? action.stopLoss ?? position.stopLoss : null,
+    };
+    this.events.emit(BotEvents.TRADE_ADJUSTED, { id: position.id, symbol: this.symbol, ...adjustment });
+    recordTradeAdjustment(position.id, adjustment);
+  }
+
+  /**
+   * Gives back the slots a buy that was never filled had reserved.
+   */
+  _releaseEntry() {
+    this.positions.release(this.symbol);
+    this.engine.risk.releaseEntry();
+    this._publishStatus();
+  }
+
+  _onPositionsChanged() {
+    this._publishStatus();
+    this.engine.publishPositions();
+  }
+}
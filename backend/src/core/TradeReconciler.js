@@ -0,0 +1,131 @@
+import { BotEvents } from "./EventBus.js";
+import { DerivApiError } from "./errors.js";
+import { getOpenTrades, recordTradeExit, cancelTrade, flagUnreconciledTrade, getTradingDay } from "../modules/database.js";
+import { roundMoney } from "../utils/multiplier.js";
+
+// Seconds before the recorded entry time to search the profit table from (clock skew between us and Deriv)
+const PURCHASE_TIME_SLACK_S = 60;
+const PROFIT_TABLE_PAGE = 50;
+
+/**
+ * @typedef {object} ReconciliationReport
+ * @property {string[]} adopted Contracts still open on Deriv, managed again as positions.
+ * @property {string[]} closed Contracts Deriv had already settled; their exit was backfilled.
+ * @property {string[]} cancelled Paper trades, whose virtual contracts died with the process.
+ * @property {{ id: string, reason: string }[]} unreconciled Left OPEN, with the reason noted on the trade.
+ */
+
+/**
+ * Trade Reconciler
+ * Runs once at startup, before any tick is traded. Trades left OPEN in Mongo by a restart
+ * are looked up on Deriv: `proposal_open_contract` first, then the `profit_table` for
+ * contracts Deriv no longer prices. Settled ones get their exit backfilled (and count on the
+ * DailyStat of the day they were sold), open ones are re-adopted by their symbol's trader.
+ * The risk limits are loaded first, so today's settlements are added to them as they are found.
+ */
+export default class TradeReconciler {
+  constructor(engine) {
+    this.engine = engine;
+    this.deriv = engine.deriv;
+  }
+
+  /**
+   * @returns {Promise<ReconciliationReport>}
+   */
+  async run() {
+    const report = { adopted: [], closed: [], cancelled: [], unreconciled: [] };
+    const trades = await getOpenTrades();
+    if (trades.length === 0) return report;
+
+    console.log(`🧾 Reconciling ${trades.length} trade(s) left open before the restart...`);
+    for (const trade of trades) {
+      try {
+        await this._reconcile(trade, report);
+      } catch (error) {
+        this._unreconciled(trade, `Deriv lookup failed: ${error.message}`, report);
+      }
+    }
+
+    const { adopted, closed, cancelled, unreconciled } = report;
+    console.log(`🧾 Reconciliation done: ${adopted.length} re-adopted, ${closed.length} closed, ${cancelled.length} cancelled, ${unreconciled.length} unreconciled.`);
+    if (unreconciled.length > 0) {
+      this.engine.events.emit(BotEvents.ALERT, {
+        level: "error",
+        code: "RECONCILE_FAILED",
+        message: `${unreconciled.length} open trade(s) could not be reconciled with Deriv: ${unreconciled.map(({ id, reason }) => `${id} (${reason})`).join(", ")}`,
+      });
+    }
+    return report;
+  }
+
+  async _reconcile(trade, report) {
+    const id = trade.contract_id;
+    if (trade.simulated) {
+      await cancelTrade(id, "Paper contract lost on restart");
+      console.log(`🧾 Paper trade ${id} cancelled: its virtual contract did not survive the restart.`);
+      report.cancelled.push(id);
+      return;
+    }
+
+    const contractInfo = await this._getContract(id);
+    if (contractInfo && !contractInfo.is_sold) {
+      const trader = this.engine.traders.get(contractInfo.underlying ?? trade.symbol);
+      if (!trader) return this._unreconciled(trade, `still open on ${trade.symbol}, which is not traded anymore`, report);
+      if (this.engine.isPaper) return this._unreconciled(trade, "live contract still open, not managed in paper mode", report);
+
+      await trader.restorePosition(trade, contractInfo);
+      report.adopted.push(id);
+      return;
+    }
+
+    const settlement = contractInfo
+      ? { sellPrice: contractInfo.sell_price, profit: contractInfo.profit, sellTime: contractInfo.sell_time ?? contractInfo.date_expiry }
+      : await this._findInProfitTable(trade);
+    if (!settlement) return this._unreconciled(trade, "not found on Deriv", report);
+
+    // Sold before the restart: the balance Deriv reported on authorize already includes it
+    const exitTime = settlement.sellTime ? new Date(settlement.sellTime * 1000) : new Date();
+    await recordTradeExit(id, settlement.sellPrice, settlement.profit, null, exitTime);
+    this.engine.risk.recordSettledResult(settlement.profit, getTradingDay(exitTime));
+    console.log(`🧾 Trade ${id} on ${trade.symbol} was settled at ${exitTime.toISOString()} | Profit: $${settlement.profit}`);
+    report.closed.push(id);
+  }
+
+  /**
+   * Returns Deriv's `proposal_open_contract` for the contract, or null when Deriv does not know it.
+   */
+  async _getContract(id) {
+    try {
+      const response = await this.deriv.request({ proposal_open_contract: 1, contract_id: Number(id) });
+      return response.proposal_open_contract?.contract_id ? response.proposal_open_contract : null;
+    } catch (error) {
+      // Deriv rejecting the contract id is an answer; connection trouble is not
+      if (error instanceof DerivApiError && !error.retryable) return null;
+      throw error;
+    }
+  }
+
+  async _findInProfitTable(trade) {
+    const since = Math.floor(new Date(trade.entry_time).getTime() / 1000) - PURCHASE_TIME_SLACK_S;
+    for (let offset = 0; ; offset += PROFIT_TABLE_PAGE) {
+      const response = await this.deriv.request({ profit_table: 1, description: 1, date_from: since, sort: "ASC", limit: PROFIT_TABLE_PAGE, offset });
+      const { transactions } = response.profit_table;
+
+      const transaction = transactions.find((t) => String(t.contract_id) === trade.contract_id);
+      if (transaction) {
+        return {
+          sellPrice: transaction.sell_price,
+          profit: roundMoney(transaction.sell_price - transaction.buy_price),
+          sellTime: transaction.sell_time,
+        };
+      }
+      if (transactions.length < PROFIT_TABLE_PAGE) return null;
+    }
+  }
+
+  _unreconciled(trade, reason, report) {
+    console.warn(`⚠️ Could not reconcile trade ${trade.contract_id} on ${trade.symbol}: ${reason}`);
+    flagUnreconciledTrade(trade.contract_id, reason);
+    report.unreconciled.push({ id: trade.contract_id, reason });
+  }
+}
@@ -0,0 +1,475 @@
+import Deriv, { ConnectionState } from "./Deriv.js";
+import { BotEvents } from "./EventBus.js";
+import SymbolTrader from "./SymbolTrader.js";
+import PaperBroker from "./PaperBroker.js";
+import RiskManager from "./RiskManager.js";
+import PositionBook from "./PositionBook.js";
+import PositionManager from "./PositionManager.js";
+import TradingSchedule from "./TradingSchedule.js";
+import TradeReconciler from "./TradeReconciler.js";
+import { getStrategySettings } from "./StrategySettings.js";
+import { getActiveStrategySettings } from "../modules/database.js";
+import config from "../config.js";
+
+/**
+ * Trading Engine
+ * Owns the shared Deriv connection, the account and the book of open positions, and
+ * runs one `SymbolTrader` (strategy plugin + its positions) per configured symbol on top of it.
+ */
+export default class TradingEngine {
+  constructor() {
+    this.deriv = new Deriv();
+    this.events = this.deriv.events;
+    this.isPaper = config.TRADING_MODE === "paper";
+    // Registered before the engine's own tick listener so fills use the quote that triggered them
+    this.paperBroker = this.isPaper
+      ? new PaperBroker(this.events, { balance: config.PAPER_BALANCE, commissionRate: config.PAPER_COMMISSION_RATE })
+      : null;
+    this.positions = new PositionBook({ maxOpen: config.MAX_OPEN_POSITIONS, maxPerSymbol: config.MAX_OPEN_PER_SYMBOL });
+    this.positionManager = new PositionManager();
+    this.lastPositionsJson = null;
+    this.risk = new RiskManager(this.events, { persist: !this.isPaper, onChange: () => this._publishStatus() });
+    this.schedule = new TradingSchedule({
+      days: config.TRADING_DAYS,
+      hours: config.TRADING_HOURS,
+      timezone: config.TRADING_TIMEZONE,
+      blackouts: config.BLACKOUT_DATES,
+    });
+    this.scheduleState = this.schedule.getState();
+    this.scheduleTimer = null;
+    this.settingsVersion = null; // Stored strategy settings version in use, null = env/config defaults
+    this.pendingSettings = null; // Version waiting for a safe point (no open position) to be applied
+    this.isApplyingSettings = false;
+    this.traders = new Map(); // symbol -> SymbolTrader, built by start() once the stored settings are in
+
+    this.isPaused = false;
+    this.isManuallyPaused = false;
+    this.accountBalance = 0; // As reported by Deriv's balance stream
+    this.computedBalance = 0; // Flat balance derived from our own trade results, used to spot drift
+    this.balanceCheckTimer = null;
+
+    this.events.on(BotEvents.TICK, (tick) => this.onTick(tick));
+    this.events.on(BotEvents.CONTRACT_UPDATE, (contractInfo) => this.onContractUpdate(contractInfo));
+    this.events.on(BotEvents.CONNECTION_STATE, ({ state, restored }) => this._onConnectionState(state, restored));
+
+    // Keep the UI hooks working on top of the bus
+    this.events.on(BotEvents.TRADE_OPENED, (trade) => this.onUITradeOpen(trade));
+    this.events.on(BotEvents.TRADE_CLOSED, (trade) => this.onUITradeClose(trade));
+    this.events.on(BotEvents.BALANCE, ({ balance }) => this.onUIBalanceChange(balance));
+  }
+
+  get connectionState() {
+    return this.deriv.connectionState;
+  }
+
+  get tradingMode() {
+    return config.TRADING_MODE;
+  }
+
+  /**
+   * BOT_STATUS payload: STOPPED by the user, HALTED by a risk limit (with why and until when), or RUNNING,
+   * plus the trading schedule state and the strategy settings versions.
+   */
+  get botStatus() {
+    const details = {
+      schedule: this.scheduleState,
+      settings: { version: this.settingsVersion, pendingVersion: this.pendingSettings?.version ?? null },
+    };
+    if (this.isManuallyPaused) return { status: 'STOPPED', ...details };
+    if (this.risk.isHalted) return { status: 'HALTED', ...this.risk.currentHalt, ...details };
+    return { status: 'RUNNING', ...details };
+  }
+
+  /**
+   * Encapsulate the entire startup payload natively
+   */
+  async start() {
+    console.log(`▶️ Starting Strategy Engine on ${config.SYMBOLS.join(", ")} (${this.isPaper ? "PAPER" : "LIVE"} mode)...`);
+    const stored = await getActiveStrategySettings();
+    if (stored) this._useSettings(stored);
+    for (const symbol of config.SYMBOLS) {
+      const trader = new SymbolTrader(this, symbol);
+      this.traders.set(symbol, trader);
+      await trader.strategy.init();
+    }
+    this._watchSchedule();
+    await this.deriv.connect();
+    const authData = await this.deriv.authenticate();
+    this.accountBalance = authData.balance;
+    this.computedBalance = authData.balance;
+    console.log(`💲 Initial Account Balance: $${this.accountBalance.toFixed(2)}`);
+
+    // Subscribe to the account balance, the source of truth for accountBalance
+    try {
+      await this.deriv.subscribe({ balance: 1 }, (message) => this._onBalanceUpdate(message.balance));
+    } catch (error) {
+      console.error("⚠️ Failed to subscribe to balance updates:", error.message);
+    }
+
+    // Subscribe to Open Contracts stream (to track SL/TP triggers)
+    try {
+      await this.deriv.subscribe({ proposal_open_contract: 1 });
+    } catch (error) {
+      console.error("⚠️ Failed to subscribe to contract updates:", error.message);
+    }
+
+    // Pick up the day's results, then settle or re-adopt trades left open by a restart on top of them
+    await this.risk.init();
+    await new TradeReconciler(this).run();
+
+    // Warm up and subscribe to Live Ticks per symbol; one bad symbol must not stop the others
+    for (const [symbol, trader] of this.traders) {
+      await trader.warmUp();
+      try {
+        await this.deriv.subscribe({ ticks: symbol });
+      } catch (error) {
+        console.error(`⚠️ Tick Subscription Failed for ${symbol}: ${error.message}`);
+        this.traders.delete(symbol);
+        this.events.emit(BotEvents.ALERT, { level: 'error', code: 'SYMBOL_UNAVAILABLE', message: `${symbol} is not trading: ${error.message}` });
+      }
+    }
+    if (this.traders.size === 0) {
+      throw new Error("Tick Subscription Failed for every configured symbol");
+    }
+
+    console.log("✅ Strategy Engine fully online and subscribed. Awaiting market conditions...");
+  }
+
+  /**
+   * Closes the Deriv connection and releases the strategies.
+   */
+  async stop() {
+    clearTimeout(this.balanceCheckTimer);
+    clearTimeout(this.scheduleTimer);
+    this.risk.dispose();
+    this.deriv.disconnect();
+    for (const trader of this.traders.values()) {
+      await trader.strategy.dispose();
+    }
+  }
+
+  /**
+   * Suspends tick processing manually (useful for rate-limit cooling off)
+   */
+  pause(ms = 2000) {
+    this.isPaused = true;
+    console.warn(`⏳ Strategy PAUSED for ${ms}ms.`);
+    setTimeout(() => {
+      this.isPaused = false;
+      console.log(`▶️ Strategy RESUMED.`);
+    }, ms);
+  }
+
+  /**
+   * Manually pause the strategy (from UI). Does NOT auto-resume.
+   */
+  pauseManual(reason = 'by user') {
+    this.isManuallyPaused = true;
+    this.isPaused = true;
+    console.log(`⏸️ Strategy MANUALLY PAUSED ${reason}.`);
+    this._publishStatus();
+  }
+
+  /**
+   * Resume from a manual pause (from UI).
+   */
+  resumeManual() {
+    this.isManuallyPaused = false;
+    this.isPaused = false;
+    console.log('▶️ Strategy MANUALLY RESUMED by user.');
+    this._publishStatus();
+  }
+
+  /**
+   * Re-arm a tripped circuit breaker (from UI).
+   */
+  rearmCircuitBreaker() {
+    return this.risk.breaker.rearm("manual");
+  }
+
+  _publishStatus() {
+    this.events.emit(BotEvents.BOT_STATUS, this.botStatus);
+  }
+
+  /**
+   * Returns why no new position may be opened right now, or null. Open positions are
+   * managed regardless.
+   */
+  getEntryBlock(symbol) {
+    return this.risk.getEntryBlock(symbol)
+      ?? this._getScheduleBlock()
+      ?? this._getSettingsBlock()
+      ?? this.positions.getEntryBlock(symbol);
+  }
+
+  _getScheduleBlock() {
+    const { open, reason, nextChange } = this.scheduleState;
+    if (open) return null;
+    return nextChange ? `${reason}, trading resumes at ${nextChange}` : reason;
+  }
+
+  /**
+   * Refreshes the schedule state and wakes up again when it next opens or closes.
+   */
+  _watchSchedule() {
+    clearTimeout(this.scheduleTimer);
+    if (!this.schedule.enabled) return;
+
+    this.scheduleState = this.schedule.getState();
+    const { open, reason, nextChange } = this.scheduleState;
+    const until = nextChange ? ` until ${nextChange}` : "";
+    console.log(open ? `🕒 Trading window OPEN${until}.` : `🕒 Trading window CLOSED${until} (${reason}), managing open positions only.`);
+    this._publishStatus();
+
+    // Nothing changes within the scanned horizon: look again tomorrow
+    const delay = nextChange ? Date.parse(nextChange) - Date.now() : 24 * 60 * 60 * 1000;
+    this.scheduleTimer = setTimeout(() => this._watchSchedule(), Math.max(delay, 1000));
+  }
+
+  // ------------------------------------------------------------------------
+  // Strategy Settings
+  // ------------------------------------------------------------------------
+
+  /**
+   * Queues a saved strategy settings version. It is applied once no position is open;
+   * until then no new position is opened, so open ones can run their course.
+   * @param {{ version: number, settings: object }} entry A `StrategySettings` document.
+   */
+  applyStrategySettings(entry) {
+    this.pendingSettings = entry;
+    const openCount = this.positions.size;
+    console.log(`⚙️ Strategy settings v${entry.version} queued${openCount > 0 ? `, applying once ${openCount} open position(s) close` : ""}.`);
+    this._publishStatus();
+    if (openCount === 0 && !this.isApplyingSettings) this._applyPendingSettings();
+  }
+
+  /**
+   * Returns why the traders could not run with `settings`, or null when every strategy builds.
+   */
+  checkStrategySettings(settings) {
+    try {
+      this._buildWithSettings(settings);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * The editable settings in use and the version they came from.
+   */
+  getStrategySettings() {
+    return { version: this.settingsVersion, settings: getStrategySettings(), pendingVersion: this.pendingSettings?.version ?? null };
+  }
+
+  _getSettingsBlock() {
+    if (!this.pendingSettings && !this.isApplyingSettings) return null;
+    return `Applying strategy settings v${this.pendingSettings?.version ?? this.settingsVersion}`;
+  }
+
+  async _applyPendingSettings() {
+    this.isApplyingSettings = true;
+    try {
+      // Later versions may be queued while the traders warm up; apply the newest
+      while (this.pendingSettings) {
+        const entry = this.pendingSettings;
+        this.pendingSettings = null;
+        await this._applySettings(entry);
+      }
+    } finally {
+      this.isApplyingSettings = false;
+      this._publishStatus();
+    }
+  }
+
+  /**
+   * Switches to a settings version. Every strategy is built before anything changes, and a
+   * failure part way through puts the previous version back on every trader.
+   */
+  async _applySettings(entry) {
+    const previous = { version: this.settingsVersion, settings: getStrategySettings() };
+    let switched = false;
+    try {
+      const built = this._buildWithSettings(entry.settings);
+      this._useSettings(entry);
+      switched = true;
+      for (const [symbol, trader] of this.traders) {
+        await trader.reconfigure(built.get(symbol));
+      }
+      console.log(`⚙️ Strategy settings v${entry.version} applied.`);
+    } catch (error) {
+      const running = previous.version === null ? 'the default settings' : `v${previous.version}`;
+      console.error(`⚠️ Could not apply strategy settings v${entry.version}, keeping ${running}: ${error.message}`);
+      this.events.emit(BotEvents.ALERT, { level: 'error', code: 'SETTINGS_APPLY_FAILED', message: `Strategy settings v${entry.version} could not be applied, still using ${running}: ${error.message}` });
+      if (switched) await this._restoreSettings(previous);
+    }
+  }
+
+  async _restoreSettings(previous) {
+    this._useSettings(previous);
+    for (const trader of this.traders.values()) {
+      try {
+        await trader.reconfigure();
+      } catch (error) {
+        console.error(`⚠️ Could not restore the strategy of ${trader.symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Builds every trader's strategy and sizer with `settings` applied over the current config,
+   * leaving `config` and the running traders untouched.
+   * @returns {Map<string, object>} Components per symbol, for `SymbolTrader.reconfigure()`.
+   */
+  _buildWithSettings(settings) {
+    const current = getStrategySettings();
+    Object.assign(config, settings);
+    try {
+      return new Map([...this.traders].map(([symbol, trader]) => {
+        try {
+          return [symbol, trader.build()];
+        } catch (error) {
+          throw new Error(`${symbol}: ${error.message}`);
+        }
+      }));
+    } finally {
+      Object.assign(config, current);
+    }
+  }
+
+  _useSettings({ version, settings }) {
+    Object.assign(config, settings);
+    this.settingsVersion = version;
+  }
+
+  // ------------------------------------------------------------------------
+  // Market Data
+  // ------------------------------------------------------------------------
+
+  onTick(tickData) {
+    if (this.pendingSettings && this.positions.size === 0 && !this.isApplyingSettings) this._applyPendingSettings();
+    if (this.isPaused || this.isManuallyPaused) return;
+    this.traders.get(tickData.symbol)?.onTick(tickData);
+  }
+
+  /**
+   * Routes a contract update to the trader holding that position; other contracts on the account are ignored.
+   */
+  onContractUpdate(contractInfo) {
+    const position = this.positions.get(contractInfo.contract_id);
+    if (position) this.traders.get(position.symbol)?.onContractUpdate(contractInfo);
+  }
+
+  /**
+   * Open positions across all symbols, buys in flight included.
+   */
+  get openPositionCount() {
+    return this.positions.size;
+  }
+
+  getOpenPositions() {
+    // Management bookkeeping (peak profit, in-flight actions) stays internal
+    return this.positions.all().map(({ sizing, peakProfit, actionInFlight, exitRequested, entryRecorded, ...position }) => ({
+      ...position,
+      stake: sizing?.stake ?? position.buyPrice,
+    }));
+  }
+
+  /**
+   * Emits POSITIONS when the open positions or their profit changed.
+   */
+  publishPositions() {
+    const positions = this.getOpenPositions();
+    const positionsJson = JSON.stringify(positions);
+    if (positionsJson === this.lastPositionsJson) return;
+
+    this.lastPositionsJson = positionsJson;
+    this.events.emit(BotEvents.POSITIONS, { positions });
+  }
+
+  getSymbolStatuses() {
+    return [...this.traders.values()].map((trader) => trader.getStatus());
+  }
+
+  _onConnectionState(state, restored) {
+    if (state === ConnectionState.RECONNECTING || state === ConnectionState.DISCONNECTED) {
+      this.traders.forEach((trader) => trader.reset());
+    } else if (state === ConnectionState.CONNECTED && restored) {
+      this._onReconnect();
+    }
+  }
+
+  /**
+   * Invoked once the socket, auth and subscriptions are restored.
+   */
+  async _onReconnect() {
+    console.log("▶️ Strategy Engine back online.");
+    for (const trader of this.traders.values()) {
+      await trader.warmUp();
+      await trader.refreshOpenContracts();
+    }
+  }
+
+  // ------------------------------------------------------------------------
+  // Balance
+  // ------------------------------------------------------------------------
+
+  /**
+   * Balance new trades are sized against and paid from: the live account's, or the paper broker's.
+   */
+  get tradingBalance() {
+    return this.isPaper ? this.paperBroker.balance : this.accountBalance;
+  }
+
+  /**
+   * Books a closed trade's profit and returns the balance to record with it.
+   * Paper results are booked by the broker and never touch the real computed balance.
+   */
+  applyTradeResult(symbol, profit) {
+    this.risk.recordResult(symbol, profit);
+    if (this.isPaper) return this.paperBroker.balance;
+    this.computedBalance += profit;
+    return this.computedBalance;
+  }
+
+  /**
+   * Handles a message of the Deriv balance stream.
+   */
+  _onBalanceUpdate({ balance }) {
+    this.accountBalance = balance;
+    this.events.emit(BotEvents.BALANCE, { balance });
+    this.scheduleBalanceCheck();
+  }
+
+  /**
+   * Compares reported and computed balances once both streams have settled.
+   */
+  scheduleBalanceCheck() {
+    clearTimeout(this.balanceCheckTimer);
+    this.balanceCheckTimer = setTimeout(() => this._checkBalanceDiscrepancy(), config.BALANCE_CHECK_DELAY_MS);
+  }
+
+  /**
+   * While a position is open the reported balance excludes its stake, so only a flat
+   * account can be compared. Deposits, withdrawals, manual trades or missed contract
+   * updates show up here; the gap is flagged once and the computed balance re-synced.
+   */
+  _checkBalanceDiscrepancy() {
+    if (this.openPositionCount > 0) return;
+
+    const discrepancy = this.accountBalance - this.computedBalance;
+    if (Math.abs(discrepancy) <= config.BALANCE_DISCREPANCY_TOLERANCE) return;
+
+    const message = `Deriv reports $${this.accountBalance.toFixed(2)} but trades account for $${this.computedBalance.toFixed(2)} (${discrepancy >= 0 ? '+' : ''}${discrepancy.toFixed(2)})`;
+    console.warn(`⚖️ Balance discrepancy: ${message}`);
+    this.events.emit(BotEvents.ALERT, { level: 'warning', code: 'BALANCE_DISCREPANCY', message });
+    this.computedBalance = this.accountBalance;
+  }
+
+  // ------------------------------------------------------------------------
+  // UI Hooks (fed from the event bus; prefer subscribing to `this.events`)
+  // ------------------------------------------------------------------------
+  onUITradeOpen(tradeInfo) { }
+  onUITradeClose(tradeInfo) { }
+  onUIBalanceChange(balance) { }
+}
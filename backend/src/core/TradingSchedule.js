@@ -0,0 +1,220 @@
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+const HALF_DAY_MS = (MINUTES_PER_DAY / 2) * MS_PER_MINUTE;
+// Far enough to find the next window past a long weekend plus a few blackout dates
+const NEXT_CHANGE_SCAN_DAYS = 14;
+
+/**
+ * @typedef {object} ScheduleState
+ * @property {boolean} enabled Whether any schedule is configured.
+ * @property {boolean} open Whether new entries are allowed now.
+ * @property {string|null} reason Why it is closed.
+ * @property {string|null} nextChange ISO time the schedule next opens or closes, null if not within two weeks.
+ * @property {string} timezone
+ */
+
+/**
+ * Trading Schedule
+ * When new entries are allowed: days of the week, time ranges and blackout dates, all read
+ * in one IANA timezone. A range ending before it starts runs past midnight and belongs to
+ * the day it starts on. Open positions are managed whatever the schedule says.
+ */
+export default class TradingSchedule {
+  /**
+   * @param {object} [schedule]
+   * @param {string} [schedule.days] e.g. "mon-fri" or "mon,wed,fri"; empty = every day.
+   * @param {string} [schedule.hours] e.g. "08:00-12:00,13:30-17:00" or "22:00-02:00"; empty = all day.
+   * @param {string} [schedule.timezone="UTC"]
+   * @param {string} [schedule.blackouts] Dates with no trading, e.g. "2026-12-25,2027-01-01".
+   */
+  constructor({ days = "", hours = "", timezone = "UTC", blackouts = "" } = {}) {
+    this.timezone = timezone;
+    this.days = parseDays(days);
+    this.ranges = parseHours(hours);
+    this.blackouts = parseBlackouts(blackouts);
+    this.enabled = Boolean(days || hours || blackouts);
+
+    try {
+      this.formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    } catch {
+      throw new Error(`Unknown trading timezone "${timezone}"`);
+    }
+  }
+
+  /**
+   * Returns why entries are not allowed at `date`, or null.
+   */
+  getClosedReason(date = new Date()) {
+    if (!this.enabled) return null;
+    const { day, date: localDate, minute } = this._localTime(date);
+
+    if (this.blackouts.has(localDate)) return `Blackout date ${localDate}`;
+    if (!this._inRange(day, minute)) return "Outside trading hours";
+    return null;
+  }
+
+  isOpen(date = new Date()) {
+    return this.getClosedReason(date) === null;
+  }
+
+  /**
+   * @returns {ScheduleState}
+   */
+  getState(now = new Date()) {
+    const reason = this.getClosedReason(now);
+    const nextChange = this.enabled ? this._nextChange(now, reason === null) : null;
+    return { enabled: this.enabled, open: reason === null, reason, nextChange: nextChange?.toISOString() ?? null, timezone: this.timezone };
+  }
+
+  _inRange(day, minute) {
+    const yesterday = (day + 6) % 7;
+    return this.ranges.some(({ start, end }) => {
+      if (start < end) return this.days.has(day) && minute >= start && minute < end;
+      // Past midnight: the early part belongs to the previous day's range
+      return (this.days.has(day) && minute >= start) || (this.days.has(yesterday) && minute < end);
+    });
+  }
+
+  /**
+   * First minute after `now` at which the schedule flips. The state only changes at a local
+   * midnight or a range boundary, so only those are checked.
+   */
+  _nextChange(now, isOpen) {
+    const from = new Date(now);
+    from.setUTCSeconds(0, 0);
+    let unchangedAt = from.getTime();
+    for (const boundary of this._boundaries(from)) {
+      if (boundary <= unchangedAt) continue;
+      if (this.isOpen(new Date(boundary)) === isOpen) {
+        unchangedAt = boundary;
+        continue;
+      }
+
+      // Normally the boundary itself; after a DST jump, narrow it down to the minute
+      let changedAt = boundary;
+      if (this.isOpen(new Date(changedAt - MS_PER_MINUTE)) !== isOpen) {
+        while (changedAt - unchangedAt > MS_PER_MINUTE) {
+          const middle = unchangedAt + Math.floor((changedAt - unchangedAt) / (2 * MS_PER_MINUTE)) * MS_PER_MINUTE;
+          if (this.isOpen(new Date(middle)) === isOpen) unchangedAt = middle;
+          else changedAt = middle;
+        }
+      }
+      return new Date(changedAt);
+    }
+    return null;
+  }
+
+  /**
+   * Local midnights, range starts and ends, and DST changes from the day before `from` on,
+   * as sorted epoch ms.
+   */
+  _boundaries(from) {
+    const [year, month, day] = this._localTime(from).date.split("-").map(Number);
+    const until = from.getTime() + NEXT_CHANGE_SCAN_DAYS * MINUTES_PER_DAY * MS_PER_MINUTE;
+    const minutes = [0, ...this.ranges.flatMap(({ start, end }) => [start, end])];
+    const boundaries = this._offsetChanges(from.getTime() - MINUTES_PER_DAY * MS_PER_MINUTE, until);
+    for (let offset = -1; offset <= NEXT_CHANGE_SCAN_DAYS; offset++) {
+      const date = new Date(Date.UTC(year, month - 1, day + offset));
+      boundaries.push(...minutes.flatMap((minute) => this._toInstants(date, minute)).filter((time) => time <= until));
+    }
+    return boundaries.sort((a, b) => a - b);
+  }
+
+  /**
+   * Epoch ms of a wall-clock `minute` on a local date (given as a UTC midnight) in the timezone.
+   */
+  _toInstants(date, minute) {
+    const wallTime = date.getTime() + minute * MS_PER_MINUTE;
+    // Across a DST change a wall time occurs twice (both are returned) or not at all (the
+    // later offset then lands just after the jump, where the flip is found by search)
+    const instants = [HALF_DAY_MS, -HALF_DAY_MS].map((shift) => wallTime - this._offset(wallTime + shift)).sort((a, b) => a - b);
+    const valid = [...new Set(instants.filter((instant) => wallTime - this._offset(instant) === instant))];
+    return valid.length > 0 ? valid : [instants[1]];
+  }
+
+  /**
+   * Instants the timezone's offset from UTC changes between two whole-minute epoch ms.
+   * The wall clock jumps there, which can flip the schedule away from any range boundary.
+   */
+  _offsetChanges(from, until) {
+    const dayMs = MINUTES_PER_DAY * MS_PER_MINUTE;
+    const changes = [];
+    for (let start = from; start < until; start += dayMs) {
+      let low = start;
+      let high = Math.min(start + dayMs, until);
+      if (this._offset(low) === this._offset(high)) continue;
+
+      while (high - low > MS_PER_MINUTE) {
+        const middle = low + Math.floor((high - low) / (2 * MS_PER_MINUTE)) * MS_PER_MINUTE;
+        if (this._offset(middle) === this._offset(low)) low = middle;
+        else high = middle;
+      }
+      changes.push(high);
+    }
+    return changes;
+  }
+
+  /**
+   * How far the timezone's wall clock is ahead of UTC at `time`, in ms.
+   */
+  _offset(time) {
+    const { date, minute } = this._localTime(new Date(time));
+    return Date.parse(`${date}T00:00:00Z`) + minute * MS_PER_MINUTE - (time - (time % MS_PER_MINUTE));
+  }
+
+  _localTime(date) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(date).map(({ type, value }) => [type, value]));
+    return {
+      day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minute: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+  }
+}
+
+function parseDays(spec) {
+  if (!spec.trim()) return new Set(DAY_NAMES.keys());
+
+  const days = new Set();
+  for (const part of spec.toLowerCase().split(",").map((item) => item.trim()).filter(Boolean)) {
+    const [from, to = from] = part.split("-").map((name) => DAY_NAMES.indexOf(name.trim().slice(0, 3)));
+    if (from < 0 || to < 0) throw new Error(`Invalid trading day "${part}", expected e.g. "mon-fri" or "sat,sun"`);
+    // A range may wrap the week, e.g. "fri-mon"
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return days;
+}
+
+function parseHours(spec) {
+  if (!spec.trim()) return [{ start: 0, end: MINUTES_PER_DAY }];
+
+  return spec.split(",").map((item) => item.trim()).filter(Boolean).map((range) => {
+    const match = range.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    const start = match && parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    const end = match && parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+    if (!match || start >= MINUTES_PER_DAY || end > MINUTES_PER_DAY || start === end || parseInt(match[2], 10) > 59 || parseInt(match[4], 10) > 59) {
+      throw new Error(`Invalid trading hours "${range}", expected e.g. "08:00-17:00"`);
+    }
+    return { start, end };
+  });
+}
+
+function parseBlackouts(spec) {
+  const dates = spec.split(",").map((item) => item.trim()).filter(Boolean);
+  const invalid = dates.find((date) => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+  if (invalid) throw new Error(`Invalid blackout date "${invalid}", expected YYYY-MM-DD`);
+  return new Set(dates);
+}
@@ -0,0 +1,145 @@
+/**
+ * Error types raised by the Deriv framework so callers can branch on `instanceof`
+ * instead of matching message strings.
+ */
+
+/**
+ * A request received no response within its timeout window.
+ * Deriv may still have processed it (e.g. a `buy`), so callers must not assume it failed.
+ */
+export class RequestTimeoutError extends Error {
+  constructor(msgType, reqId, timeoutMs) {
+    super(`Request '${msgType}' (req_id ${reqId}) timed out after ${timeoutMs}ms`);
+    this.name = "RequestTimeoutError";
+    this.msgType = msgType;
+    this.reqId = reqId;
+    this.timeoutMs = timeoutMs;
+    this.retryable = true;
+    this.reason = "Deriv did not respond in time";
+  }
+}
+
+/**
+ * The socket closed while the request was still awaiting its response, or was not open at all.
+ * When `wasSent` is true the outcome on Deriv's side is unknown, like a timeout;
+ * requests still waiting in the outbound queue, or sent to a closed socket, never left the client.
+ */
+export class ConnectionClosedError extends Error {
+  constructor(msgType, reqId, wasSent = true) {
+    super(wasSent
+      ? `Connection closed before '${msgType}' (req_id ${reqId}) was answered`
+      : `Connection closed before '${msgType}' (req_id ${reqId}) was sent`);
+    this.name = "ConnectionClosedError";
+    this.msgType = msgType;
+    this.reqId = reqId;
+    this.wasSent = wasSent;
+    this.retryable = true;
+    this.reason = "Connection to Deriv was lost";
+  }
+}
+
+/**
+ * An error returned by the Deriv API (`{ error: { code, message } }`).
+ * Subclasses group Deriv error codes by what the caller should do about them;
+ * `retryable` tells whether the same call may succeed after a short wait.
+ */
+export class DerivApiError extends Error {
+  constructor(code, message, msgType, details) {
+    super(`[${code}] ${message}`);
+    this.name = "DerivApiError";
+    this.code = code;
+    this.msgType = msgType;
+    this.details = details;
+    this.retryable = false;
+    this.reason = "Deriv rejected the request";
+  }
+
+  /**
+   * Builds the most specific error class for a Deriv error payload.
+   */
+  static from(error, msgType) {
+    const ErrorClass = ERROR_CLASSES_BY_CODE[error.code] || DerivApiError;
+    return new ErrorClass(error.code, error.message, msgType, error.details);
+  }
+}
+
+export class AuthorizationError extends DerivApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = "AuthorizationError";
+    this.reason = "Deriv token is invalid or lacks permission";
+  }
+}
+
+export class RateLimitError extends DerivApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = "RateLimitError";
+    this.retryable = true;
+    this.reason = "Deriv rate limit reached";
+  }
+}
+
+export class InsufficientBalanceError extends DerivApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = "InsufficientBalanceError";
+    this.reason = "Insufficient account balance";
+  }
+}
+
+export class MarketClosedError extends DerivApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = "MarketClosedError";
+    this.reason = "Market is closed";
+  }
+}
+
+export class InvalidContractError extends DerivApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = "InvalidContractError";
+    this.reason = "Contract parameters were rejected";
+  }
+}
+
+export class PriceMovedError extends DerivApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = "PriceMovedError";
+    this.retryable = true;
+    this.reason = "Price moved before the order was filled";
+  }
+}
+
+export class InvalidInputError extends DerivApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = "InvalidInputError";
+    this.reason = "Request was malformed";
+  }
+}
+
+const ERROR_CLASSES_BY_CODE = {
+  InvalidToken: AuthorizationError,
+  AuthorizationRequired: AuthorizationError,
+  PermissionDenied: AuthorizationError,
+  DisabledClient: AuthorizationError,
+  AccountDisabled: AuthorizationError,
+  RateLimit: RateLimitError,
+  InsufficientBalance: InsufficientBalanceError,
+  MarketIsClosed: MarketClosedError,
+  TradingIsDisabled: MarketClosedError,
+  SymbolNotAvailable: MarketClosedError,
+  ContractCreationFailure: InvalidContractError,
+  ContractBuyValidationError: InvalidContractError,
+  ContractValidationError: InvalidContractError,
+  InvalidContractProposal: InvalidContractError,
+  InvalidSellContractProposal: InvalidContractError,
+  InvalidOfferings: InvalidContractError,
+  OfferingsValidationError: InvalidContractError,
+  PriceMoved: PriceMovedError,
+  InputValidationFailed: InvalidInputError,
+  UnrecognisedRequest: InvalidInputError,
+};
@@ -8,10 +8,15 @@ import http from 'http';
 import { connectDB } from "./modules/database.js";
 import authRoutes from './api/auth.js';
 import tradesRoutes from './api/trades.js';
+import settingsRoutes from './api/settings.js';
 import User from './models/User.js';
-import Volatility100Strategy from "./strategies/Volatility100Strategy.js";
+import TradingEngine from "./core/TradingEngine.js";
+import { BotEvents } from "./core/EventBus.js";
+import config, { requireDerivCredentials } from "./config.js";
 import { JWT_SECRET, COOKIE_NAME } from './authConfig.js';
 
+requireDerivCredentials();
+
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
@@ -29,6 +34,7 @@ app.use(cookieParser());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/trades', tradesRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // Helper to authenticate WS connections
 const verifyWebSocketClient = (req, next) => {
@@ -65,10 +71,10 @@ const broadcast = (msgObj) => {
   });
 };
 
-// Derive the current bot status string
+// Derive the current bot status ({ status, ...halt details })
 const getBotStatus = () => {
-  if (!botInstance) return 'STOPPED';
-  return botInstance.isManuallyPaused ? 'STOPPED' : 'RUNNING';
+  if (!botInstance) return { status: 'STOPPED' };
+  return botInstance.botStatus;
 };
 
 wss.on('connection', (ws, req) => {
@@ -82,9 +88,12 @@ wss.on('connection', (ws, req) => {
     frontendClients.add(ws);
 
     // Push current state to newly connected client
-    ws.send(JSON.stringify({ type: 'BOT_STATUS', status: getBotStatus() }));
+    ws.send(JSON.stringify({ type: 'BOT_STATUS', ...getBotStatus(), mode: botInstance?.tradingMode }));
     if (botInstance) {
       ws.send(JSON.stringify({ type: 'BALANCE_UPDATE', balance: botInstance.accountBalance }));
+      ws.send(JSON.stringify({ type: 'CONNECTION_STATE', state: botInstance.connectionState }));
+      botInstance.getSymbolStatuses().forEach((status) => ws.send(JSON.stringify({ type: 'SYMBOL_STATUS', status })));
+      ws.send(JSON.stringify({ type: 'POSITIONS', positions: botInstance.getOpenPositions() }));
     }
 
     ws.on('message', (message) => {
@@ -93,15 +102,16 @@ wss.on('connection', (ws, req) => {
       
       try {
         const msg = JSON.parse(message);
-        const VALID_ACTIONS = new Set(['START', 'STOP']);
+        const VALID_ACTIONS = new Set(['START', 'STOP', 'REARM']);
         
         if (msg.type === 'COMMAND' && botInstance && VALID_ACTIONS.has(msg.action)) {
+          // The resulting BOT_STATUS is broadcast from the event bus
           if (msg.action === 'STOP') {
             botInstance.pauseManual();
-            broadcast({ type: 'BOT_STATUS', status: 'STOPPED' });
           } else if (msg.action === 'START') {
             botInstance.resumeManual();
-            broadcast({ type: 'BOT_STATUS', status: 'RUNNING' });
+          } else if (msg.action === 'REARM') {
+            botInstance.rearmCircuitBreaker();
           }
         }
       } catch(e) { console.error('WS MSG Error:', e) }
@@ -127,18 +137,24 @@ async function start() {
         });
 
         try {
-            botInstance = new Volatility100Strategy();
-
-            // Wire up UI broadcast hooks
-            botInstance.onUITradeOpen = (trade) => {
-              broadcast({ type: 'TRADE_OPEN', trade });
-            };
-            botInstance.onUITradeClose = (trade) => {
-              broadcast({ type: 'TRADE_CLOSE', trade });
-            };
-            botInstance.onUIBalanceChange = (balance) => {
-              broadcast({ type: 'BALANCE_UPDATE', balance });
-            };
+            botInstance = new TradingEngine();
+            app.locals.botInstance = botInstance;
+
+            // Wire up UI broadcasts from the bot event bus
+            const { events } = botInstance;
+            events.on(BotEvents.TRADE_OPENED, (trade) => broadcast({ type: 'TRADE_OPEN', trade }));
+            events.on(BotEvents.TRADE_CLOSED, (trade) => broadcast({ type: 'TRADE_CLOSE', trade }));
+            events.on(BotEvents.TRADE_ADJUSTED, (adjustment) => broadcast({ type: 'TRADE_ADJUSTED', adjustment }));
+            events.on(BotEvents.TRADE_FAILED, (failure) => broadcast({ type: 'TRADE_FAILED', failure }));
+            events.on(BotEvents.BALANCE, ({ balance }) => broadcast({ type: 'BALANCE_UPDATE', balance }));
+            events.on(BotEvents.BOT_STATUS, (status) => broadcast({ type: 'BOT_STATUS', ...status, mode: botInstance.tradingMode }));
+            events.on(BotEvents.SYMBOL_STATUS, (status) => broadcast({ type: 'SYMBOL_STATUS', status }));
+            events.on(BotEvents.POSITIONS, ({ positions }) => broadcast({ type: 'POSITIONS', positions }));
+            if (config.STREAM_STRATEGY_STATE) {
+              events.on(BotEvents.STRATEGY_STATE, (change) => broadcast({ type: 'STRATEGY_STATE', change }));
+            }
+            events.on(BotEvents.CONNECTION_STATE, (connection) => broadcast({ type: 'CONNECTION_STATE', ...connection }));
+            events.on(BotEvents.ALERT, (alert) => broadcast({ type: 'ALERT', alert }));
 
             await botInstance.start();
             console.log("✅ Trading strategy successfully connected.");
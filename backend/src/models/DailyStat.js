@@ -13,11 +13,14 @@ const DailyStatSchema = new mongoose.Schema({
     trades_taken: {
         type: Number,
         default: 0
-    },
+    }, // Counted at entry, closed or not
     is_cap_reached: {
         type: Boolean,
         default: false
-    }
+    },
+    cap_reason: {
+        type: String
+    } // Which daily limit halted trading
 });
 
 export default mongoose.model('DailyStat', DailyStatSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// One document per version; the highest version is the active one
+const StrategySettingsSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  settings: {
+    STAKE_AMOUNT: Number,
+    MULTIPLIER: Number,
+    SQUEEZE_THRESHOLD: Number,
+    TAKE_PROFIT_MULTIPLIER: Number,
+    STOP_LOSS_MULTIPLIER: Number,
+    TICK_LIMIT: Number,
+  }, // See EDITABLE_SETTINGS in core/StrategySettings.js
+  author: String, // Email of the user who saved it
+  note: String,
+  rolled_back_from: Number, // Version this one restores
+}, { timestamps: { createdAt: "created_at", updatedAt: false } });
+
+export default mongoose.model("StrategySettings", StrategySettingsSchema);
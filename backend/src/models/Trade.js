@@ -38,6 +38,29 @@ const TradeSchema = new mongoose.Schema({
     type: Number,
   },
   // Meta
+  simulated: {
+    type: Boolean,
+    default: false,
+  }, // Paper trade: virtual fill, never sent to Deriv
+  sizing: {
+    mode: String,
+    stake: Number,
+    proposed_stake: Number,
+    reason: String,
+    limits: [String],
+    balance: Number,
+    risk: Number,
+  }, // Position sizing decision behind the stake (see sizing/PositionSizer.js)
+  adjustments: [{
+    _id: false,
+    time: { type: Date, default: Date.now },
+    type: { type: String }, // break_even, trailing_stop, time_exit, stop_hit, opposite_signal
+    reason: String,
+    profit: Number,
+    floor: Number,
+    stop_loss: Number,
+  }], // Active management while the contract was open (see core/PositionManager.js)
+  reconcile_note: String, // Set by startup reconciliation when it cancelled the trade or could not settle it
   trigger_reason: {
     type: String,
     enum: ["MULTUP", "MULTDOWN"],
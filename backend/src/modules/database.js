@@ -2,6 +2,11 @@ import mongoose from "mongoose";
 import winston from "winston";
 import Trade from "../models/Trade.js";
 import DailyStat from "../models/DailyStat.js";
+import StrategySettings from "../models/StrategySettings.js";
+import { toTradeSizing } from "../sizing/PositionSizer.js";
+
+const DUPLICATE_KEY_ERROR = 11000;
+const SAVE_SETTINGS_ATTEMPTS = 5;
 
 const logger = winston.createLogger({
   level: "info",
@@ -31,13 +36,15 @@ export const connectDB = async () => {
 /**
  * Creates a new trade record in MongoDB
  */
-export const recordTradeEntry = async (contract_id, symbol, entry_price, trigger_reason) => {
+export const recordTradeEntry = async (contract_id, symbol, entry_price, trigger_reason, simulated = false, sizing = null) => {
   try {
     const trade = new Trade({
       contract_id,
       symbol,
       entry_price,
       trigger_reason,
+      simulated,
+      sizing: sizing && toTradeSizing(sizing),
       status: "OPEN"
     });
     await trade.save();
@@ -48,26 +55,42 @@ export const recordTradeEntry = async (contract_id, symbol, entry_price, trigger
 };
 
 /**
- * Updates an open trade with profit, exit price, and marks it CLOSED
+ * Appends an active management step (stop moved, early exit) to a trade
  */
-export const recordTradeExit = async (contract_id, exit_price, profit, account_balance) => {
+export const recordTradeAdjustment = async (contract_id, { type, reason, profit, floor, stopLoss }) => {
   try {
-    const trade = await Trade.findOneAndUpdate(
+    await Trade.updateOne(
       { contract_id },
+      { $push: { adjustments: { type, reason, profit, floor, stop_loss: stopLoss } } }
+    );
+  } catch (err) {
+    console.error(`DB Error recording trade adjustment: ${err.message}`);
+  }
+};
+
+/**
+ * Updates an open trade with profit, exit price, and marks it CLOSED.
+ * `exit_time` defaults to now; a backfilled exit passes Deriv's sell time so it counts on its own day.
+ */
+export const recordTradeExit = async (contract_id, exit_price, profit, account_balance, exit_time = new Date()) => {
+  try {
+    const trade = await Trade.findOneAndUpdate(
+      { contract_id, status: "OPEN" },
       {
         $set: {
           exit_price,
           profit,
           account_balance,
-          exit_time: Date.now(),
+          exit_time,
           status: "CLOSED"
         }
       },
       { new: true }
     );
 
-    if (trade) {
-      await updateDailyStats(profit);
+    // Paper trades stay out of the real daily P&L
+    if (trade && !trade.simulated) {
+      await updateDailyStats(profit, getTradingDay(exit_time));
     }
     return trade;
   } catch (err) {
@@ -75,20 +98,53 @@ export const recordTradeExit = async (contract_id, exit_price, profit, account_b
   }
 };
 
+/**
+ * Returns every trade still marked OPEN, oldest first
+ */
+export const getOpenTrades = async () => {
+  try {
+    return await Trade.find({ status: "OPEN" }).sort({ entry_time: 1 }).lean();
+  } catch (err) {
+    console.error(`DB Error loading open trades: ${err.message}`);
+    return [];
+  }
+};
+
+/**
+ * Marks an open trade CANCELLED, e.g. a paper contract that did not survive a restart
+ */
+export const cancelTrade = async (contract_id, reconcile_note) => {
+  try {
+    await Trade.updateOne({ contract_id, status: "OPEN" }, { $set: { status: "CANCELLED", reconcile_note } });
+  } catch (err) {
+    console.error(`DB Error cancelling trade: ${err.message}`);
+  }
+};
+
+/**
+ * Notes on an open trade why startup reconciliation could not settle it
+ */
+export const flagUnreconciledTrade = async (contract_id, reconcile_note) => {
+  try {
+    await Trade.updateOne({ contract_id }, { $set: { reconcile_note } });
+  } catch (err) {
+    console.error(`DB Error flagging trade: ${err.message}`);
+  }
+};
+
+/**
+ * Trading day key of a date, as stored in DailyStat ("YYYY-MM-DD", UTC like Deriv's trading day)
+ */
+export const getTradingDay = (date = new Date()) => date.toISOString().split('T')[0];
+
 /**
  * Updates or creates the DailyStat log for accumulated stats
  */
-const updateDailyStats = async (profit) => {
+const updateDailyStats = async (profit, date = getTradingDay()) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
     await DailyStat.findOneAndUpdate(
-      { date: today },
-      {
-        $inc: { 
-          accumulated_profit: profit,
-          trades_taken: 1
-        }
-      },
+      { date },
+      { $inc: { accumulated_profit: profit } },
       { upsert: true, new: true }
     );
   } catch (err) {
@@ -96,4 +152,95 @@ const updateDailyStats = async (profit) => {
   }
 };
 
+/**
+ * Counts a filled entry on its trading day, when it opens, so a restart sees every trade taken
+ */
+export const recordDailyTradeTaken = async (date = getTradingDay()) => {
+  try {
+    await DailyStat.findOneAndUpdate(
+      { date },
+      { $inc: { trades_taken: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    console.error(`DB Error counting Daily Stats trade: ${err.message}`);
+  }
+};
+
+/**
+ * Returns the DailyStat of a trading day, or null if nothing was recorded yet
+ */
+export const getDailyStat = async (date) => {
+  try {
+    return await DailyStat.findOne({ date }).lean();
+  } catch (err) {
+    console.error(`DB Error reading Daily Stats: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * Flags a trading day as capped so a restart keeps the halt
+ */
+export const markDailyCapReached = async (date, reason) => {
+  try {
+    await DailyStat.findOneAndUpdate(
+      { date },
+      { $set: { is_cap_reached: true, cap_reason: reason } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    console.error(`DB Error flagging Daily Stats cap: ${err.message}`);
+  }
+};
+
+/**
+ * Returns the active (latest) strategy settings version, or null when none was saved yet
+ */
+export const getActiveStrategySettings = async () => {
+  try {
+    return await StrategySettings.findOne().sort({ version: -1 }).lean();
+  } catch (err) {
+    console.error(`DB Error reading strategy settings: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * Returns one strategy settings version, or null
+ */
+export const getStrategySettingsVersion = async (version) => {
+  return StrategySettings.findOne({ version }).lean();
+};
+
+/**
+ * Lists strategy settings versions, newest first
+ */
+export const listStrategySettings = async (limit = 50) => {
+  return StrategySettings.find().sort({ version: -1 }).limit(limit).lean();
+};
+
+/**
+ * Saves settings as the next version, which becomes the active one.
+ * Concurrent saves can pick the same number; the unique index rejects all but one, the others retry.
+ */
+export const saveStrategySettings = async (settings, { author, note, rolledBackFrom } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await StrategySettings.findOne().sort({ version: -1 }).select("version").lean();
+    const entry = new StrategySettings({
+      version: (latest?.version ?? 0) + 1,
+      settings,
+      author,
+      note,
+      rolled_back_from: rolledBackFrom,
+    });
+    try {
+      await entry.save();
+      return entry.toObject();
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR || attempt >= SAVE_SETTINGS_ATTEMPTS) throw error;
+    }
+  }
+};
+
 export default connectDB;
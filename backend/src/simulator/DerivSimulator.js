@@ -0,0 +1,618 @@
+import { WebSocketServer } from "ws";
+import {
+  roundMoney,
+  calculateMultiplierCommission,
+  calculateMultiplierProfit,
+  getMultiplierExit,
+} from "../utils/multiplier.js";
+
+// One second ticks with annualised volatility of 100%, like the 1HZ100V index
+const DEFAULT_VOLATILITY = 1.0;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const MAX_FEED_HISTORY = 100000;
+const MAX_HISTORY_COUNT = 5000;
+
+/**
+ * Deriv Simulator
+ * Local stand-in for the Deriv WebSocket API covering the calls the bot relies on:
+ * `authorize`, `ticks`, `ticks_history`, `proposal`, `buy`, `proposal_open_contract`, `sell`, `contract_update`,
+ * `ping`, `balance`, `portfolio`, `profit_table`, `forget` and `forget_all`.
+ * Tick paths are either replayed from a list of quotes or generated as a random walk,
+ * and multiplier contracts settle on take-profit, stop-loss or stop-out like on Deriv.
+ */
+export default class DerivSimulator {
+  /**
+   * @param {object} options
+   * @param {number} [options.port=8765]
+   * @param {number} [options.balance=10000] Starting virtual account balance.
+   * @param {number} [options.tickIntervalMs=1000]
+   * @param {number[]} [options.tickPath] Quotes replayed in order (looping) instead of a random walk.
+   * @param {number} [options.startPrice=1000] Starting quote of generated paths.
+   * @param {number} [options.volatility=1.0] Annualised volatility of generated paths.
+   * @param {number} [options.commissionRate=0] Fraction of `stake * multiplier` charged on each contract.
+   * @param {number} [options.historyTicks=1000] Ticks generated into each feed's past so `ticks_history` has data.
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8765;
+    this.tickIntervalMs = options.tickIntervalMs ?? 1000;
+    this.tickPath = options.tickPath ?? null;
+    this.startPrice = options.startPrice ?? 1000;
+    this.volatility = options.volatility ?? DEFAULT_VOLATILITY;
+    this.commissionRate = options.commissionRate ?? 0;
+    this.historyTicks = options.historyTicks ?? 1000;
+
+    this.account = {
+      loginid: "VRTC0000001",
+      currency: "USD",
+      balance: options.balance ?? 10000,
+    };
+
+    this.wss = null;
+    this.feeds = new Map(); // symbol -> { quote, epoch, pathIndex, history, timer, lastTick }
+    this.proposals = new Map(); // proposal id -> proposal parameters
+    this.contracts = new Map(); // contract id -> contract state
+    this.subscriptions = new Map(); // subscription id -> { ws, type, filter, echo_req, req_id, contractStreams? }
+    this.idCounter = 1;
+  }
+
+  /**
+   * Starts listening and resolves once the server accepts connections.
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.wss = new WebSocketServer({ port: this.port }, () => {
+        console.log(`🧪 Deriv simulator listening on ws://localhost:${this.port}`);
+        resolve();
+      });
+
+      this.wss.on("connection", (ws) => {
+        ws.on("message", (data) => this._handleRequest(ws, data));
+        ws.on("close", () => this._dropClientSubscriptions(ws));
+      });
+    });
+  }
+
+  /**
+   * Stops every tick feed and closes the server.
+   */
+  stop() {
+    for (const feed of this.feeds.values()) {
+      clearInterval(feed.timer);
+    }
+    this.feeds.clear();
+
+    return new Promise((resolve) => {
+      if (!this.wss) return resolve();
+      for (const client of this.wss.clients) client.terminate();
+      this.wss.close(() => resolve());
+    });
+  }
+
+  // ------------------------------------------------------------------------
+  // Request Dispatch
+  // ------------------------------------------------------------------------
+
+  _handleRequest(ws, data) {
+    let request;
+    try {
+      request = JSON.parse(data);
+    } catch (error) {
+      return this._sendError(ws, {}, "InputValidationFailed", "Invalid JSON payload.");
+    }
+
+    const handlers = {
+      authorize: () => this._authorize(ws, request),
+      ping: () => this._reply(ws, request, "ping", "pong"),
+      ticks: () => this._ticks(ws, request),
+      ticks_history: () => this._ticksHistory(ws, request),
+      balance: () => this._balance(ws, request),
+      proposal: () => this._proposal(ws, request),
+      buy: () => this._buy(ws, request),
+      sell: () => this._sell(ws, request),
+      contract_update: () => this._contractUpdate(ws, request),
+      proposal_open_contract: () => this._proposalOpenContract(ws, request),
+      portfolio: () => this._portfolio(ws, request),
+      profit_table: () => this._profitTable(ws, request),
+      forget: () => this._forget(ws, request),
+      forget_all: () => this._forgetAll(ws, request),
+    };
+
+    const msgType = Object.keys(request).find((key) => handlers[key]);
+    if (!msgType) {
+      return this._sendError(ws, request, "UnrecognisedRequest", "Unrecognised request.");
+    }
+
+    const isPublic = ["authorize", "ping", "ticks", "ticks_history"].includes(msgType);
+    if (!isPublic && !ws.isAuthorized) {
+      return this._sendError(ws, request, "AuthorizationRequired", "Please log in.", msgType);
+    }
+
+    handlers[msgType]();
+  }
+
+  _authorize(ws, request) {
+    if (!request.authorize) {
+      return this._sendError(ws, request, "InvalidToken", "The token is invalid.", "authorize");
+    }
+    ws.isAuthorized = true;
+    this._reply(ws, request, "authorize", {
+      loginid: this.account.loginid,
+      currency: this.account.currency,
+      balance: this.account.balance,
+      is_virtual: 1,
+    });
+  }
+
+  _ticks(ws, request) {
+    const feed = this._getFeed(request.ticks);
+    const tick = feed.lastTick;
+
+    if (!request.subscribe) {
+      return this._reply(ws, request, "tick", tick);
+    }
+
+    const subscription = this._addSubscription(ws, request, "tick", { symbol: request.ticks });
+    this._reply(ws, request, "tick", tick, subscription);
+  }
+
+  _ticksHistory(ws, request) {
+    const feed = this._getFeed(request.ticks_history);
+    const start = request.start ?? 0;
+    const end = request.end === "latest" || request.end == null ? Infinity : request.end;
+    const count = Math.min(request.count ?? MAX_HISTORY_COUNT, MAX_HISTORY_COUNT);
+    const ticks = feed.history.filter((tick) => tick.epoch >= start && tick.epoch <= end);
+
+    if (request.style === "candles") {
+      const candles = this._toCandles(ticks, request.granularity ?? 60).slice(-count);
+      return this._reply(ws, request, "candles", candles);
+    }
+
+    const latest = ticks.slice(-count);
+    const subscription = request.subscribe
+      ? this._addSubscription(ws, request, "tick", { symbol: request.ticks_history })
+      : undefined;
+    this._reply(ws, request, "history", {
+      prices: latest.map((tick) => tick.quote),
+      times: latest.map((tick) => tick.epoch),
+    }, subscription);
+  }
+
+  _balance(ws, request) {
+    const subscription = request.subscribe
+      ? this._addSubscription(ws, request, "balance", {})
+      : undefined;
+    this._reply(ws, request, "balance", this._balancePayload(), subscription);
+  }
+
+  _proposal(ws, request) {
+    if (!request.contract_type || !["MULTUP", "MULTDOWN"].includes(request.contract_type)) {
+      return this._sendError(ws, request, "ContractCreationFailure", "Only MULTUP and MULTDOWN contracts are simulated.", "proposal");
+    }
+    if (!(request.amount > 0) || !(request.multiplier > 0)) {
+      return this._sendError(ws, request, "InputValidationFailed", "Amount and multiplier must be positive.", "proposal");
+    }
+
+    const feed = this._getFeed(request.symbol);
+    const id = `sim-proposal-${this._nextId()}`;
+    const commission = calculateMultiplierCommission(request.amount, request.multiplier, this.commissionRate);
+
+    this.proposals.set(id, {
+      symbol: request.symbol,
+      contract_type: request.contract_type,
+      amount: request.amount,
+      multiplier: request.multiplier,
+      limit_order: request.limit_order || {},
+    });
+
+    this._reply(ws, request, "proposal", {
+      id,
+      ask_price: request.amount,
+      commission,
+      spot: feed.quote,
+      spot_time: feed.lastTick.epoch,
+      multiplier: request.multiplier,
+      longcode: `Simulated ${request.contract_type} on ${request.symbol} x${request.multiplier}`,
+    });
+  }
+
+  _buy(ws, request) {
+    const proposal = this.proposals.get(request.buy);
+    if (!proposal) {
+      return this._sendError(ws, request, "InvalidContractProposal", "Unknown or expired proposal.", "buy");
+    }
+    if (request.price < proposal.amount) {
+      return this._sendError(ws, request, "PriceMoved", "The price has moved above your maximum.", "buy");
+    }
+    if (this.account.balance < proposal.amount) {
+      return this._sendError(ws, request, "InsufficientBalance", "Your account balance is insufficient for this trade.", "buy");
+    }
+    this.proposals.delete(request.buy);
+
+    const feed = this._getFeed(proposal.symbol);
+    const now = this._epoch();
+    const contractId = this._nextId();
+
+    const contract = {
+      contract_id: contractId,
+      transaction_id: this._nextId(),
+      contract_type: proposal.contract_type,
+      underlying: proposal.symbol,
+      currency: this.account.currency,
+      buy_price: proposal.amount,
+      multiplier: proposal.multiplier,
+      commission: calculateMultiplierCommission(proposal.amount, proposal.multiplier, this.commissionRate),
+      limit_order: proposal.limit_order,
+      purchase_time: now,
+      date_start: now,
+      entry_spot: feed.quote,
+      current_spot: feed.quote,
+      current_spot_time: now,
+      bid_price: proposal.amount,
+      profit: 0,
+      is_sold: 0,
+      status: "open",
+      shortcode: `${proposal.contract_type}_${proposal.symbol}_${proposal.amount.toFixed(2)}_${proposal.multiplier}_${now}`,
+    };
+    this._updateContractValue(contract, feed.quote);
+    this.contracts.set(contractId, contract);
+
+    this.account.balance = this._round(this.account.balance - proposal.amount);
+    this._broadcastBalance();
+
+    this._reply(ws, request, "buy", {
+      contract_id: contractId,
+      transaction_id: contract.transaction_id,
+      buy_price: contract.buy_price,
+      balance_after: this.account.balance,
+      purchase_time: now,
+      start_time: now,
+      shortcode: contract.shortcode,
+      longcode: `Simulated ${contract.contract_type} on ${contract.underlying} x${contract.multiplier}`,
+    });
+    this._broadcastContract(contract);
+  }
+
+  _sell(ws, request) {
+    const contract = this.contracts.get(request.sell);
+    if (!contract || contract.is_sold) {
+      return this._sendError(ws, request, "InvalidSellContractProposal", "This contract cannot be sold.", "sell");
+    }
+
+    this._settle(contract, "sold");
+    this._reply(ws, request, "sell", {
+      contract_id: contract.contract_id,
+      sold_for: contract.sell_price,
+      balance_after: this.account.balance,
+      transaction_id: this._nextId(),
+    });
+  }
+
+  _contractUpdate(ws, request) {
+    const contract = this.contracts.get(request.contract_id);
+    if (!contract || contract.is_sold) {
+      return this._sendError(ws, request, "ContractNotFound", "This contract cannot be updated.", "contract_update");
+    }
+
+    const limitOrder = { ...contract.limit_order, ...request.limit_order };
+    if (limitOrder.stop_loss != null && (limitOrder.stop_loss <= 0 || contract.profit <= -limitOrder.stop_loss)) {
+      return this._sendError(ws, request, "InvalidContractUpdate", "Please enter a stop loss amount that is higher than the current potential loss.", "contract_update");
+    }
+    contract.limit_order = limitOrder;
+
+    const toOrder = (amount, sign) => (amount == null ? null : { display_name: sign > 0 ? "Take profit" : "Stop loss", order_amount: sign * amount });
+    this._reply(ws, request, "contract_update", {
+      take_profit: toOrder(limitOrder.take_profit, 1),
+      stop_loss: toOrder(limitOrder.stop_loss, -1),
+    });
+  }
+
+  _proposalOpenContract(ws, request) {
+    if (request.contract_id) {
+      const contract = this.contracts.get(request.contract_id);
+      if (!contract) {
+        return this._sendError(ws, request, "ContractValidationError", "Contract not found.", "proposal_open_contract");
+      }
+      const subscription = request.subscribe && !contract.is_sold
+        ? this._addSubscription(ws, request, "proposal_open_contract", { contract_id: contract.contract_id })
+        : undefined;
+      return this._reply(ws, request, "proposal_open_contract", { ...contract }, subscription);
+    }
+
+    // Without a contract id, Deriv streams every open contract of the account,
+    // each under a subscription id of its own (contract id -> stream id)
+    const subscription = request.subscribe
+      ? this._addSubscription(ws, request, "proposal_open_contract", {})
+      : undefined;
+    if (subscription) this.subscriptions.get(subscription.id).contractStreams = new Map();
+    this._reply(ws, request, "proposal_open_contract", {}, subscription);
+  }
+
+  _portfolio(ws, request) {
+    const contracts = [...this.contracts.values()]
+      .filter((c) => !c.is_sold)
+      .map((c) => ({
+        contract_id: c.contract_id,
+        transaction_id: c.transaction_id,
+        contract_type: c.contract_type,
+        symbol: c.underlying,
+        currency: c.currency,
+        buy_price: c.buy_price,
+        purchase_time: c.purchase_time,
+        date_start: c.date_start,
+        shortcode: c.shortcode,
+      }));
+    this._reply(ws, request, "portfolio", { contracts });
+  }
+
+  _profitTable(ws, request) {
+    const dateFrom = request.date_from ?? 0;
+    const dateTo = request.date_to ?? Infinity;
+    let transactions = [...this.contracts.values()]
+      .filter((c) => c.is_sold && c.purchase_time >= dateFrom && c.purchase_time <= dateTo)
+      .map((c) => ({
+        contract_id: c.contract_id,
+        transaction_id: c.transaction_id,
+        contract_type: c.contract_type,
+        buy_price: c.buy_price,
+        sell_price: c.sell_price,
+        purchase_time: c.purchase_time,
+        sell_time: c.sell_time,
+        shortcode: c.shortcode,
+      }));
+
+    if (request.sort !== "ASC") transactions.reverse();
+    transactions = transactions.slice(request.offset ?? 0, (request.offset ?? 0) + (request.limit ?? 50));
+    this._reply(ws, request, "profit_table", { count: transactions.length, transactions });
+  }
+
+  _forget(ws, request) {
+    const existed = this.subscriptions.has(request.forget);
+    this.subscriptions.delete(request.forget);
+    this._reply(ws, request, "forget", existed ? 1 : 0);
+  }
+
+  _forgetAll(ws, request) {
+    const types = Array.isArray(request.forget_all) ? request.forget_all : [request.forget_all];
+    // forget_all uses request names ("ticks") while stream messages are typed "tick"
+    const streamTypes = types.map((type) => (type === "ticks" ? "tick" : type));
+    const forgotten = [];
+
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.ws === ws && streamTypes.includes(subscription.type)) {
+        this.subscriptions.delete(id);
+        forgotten.push(id);
+      }
+    }
+    this._reply(ws, request, "forget_all", forgotten);
+  }
+
+  // ------------------------------------------------------------------------
+  // Market & Contract Simulation
+  // ------------------------------------------------------------------------
+
+  /**
+   * Returns the tick feed for a symbol, starting it on first use.
+   */
+  _getFeed(symbol) {
+    if (this.feeds.has(symbol)) return this.feeds.get(symbol);
+
+    // Simulated time runs ahead of the wall clock when ticking faster than once a second
+    const step = Math.max(1, Math.round(this.tickIntervalMs / 1000));
+    const feed = {
+      symbol,
+      quote: null,
+      step,
+      epoch: this._epoch() - (this.historyTicks + 1) * step,
+      pathIndex: 0,
+      history: [],
+      lastTick: null,
+      timer: null,
+    };
+    for (let i = 0; i <= this.historyTicks; i++) {
+      this._advanceFeed(feed);
+    }
+    feed.timer = setInterval(() => this._onFeedTick(feed), this.tickIntervalMs);
+    this.feeds.set(symbol, feed);
+    return feed;
+  }
+
+  _advanceFeed(feed) {
+    if (this.tickPath && this.tickPath.length > 0) {
+      feed.quote = this.tickPath[feed.pathIndex % this.tickPath.length];
+      feed.pathIndex++;
+    } else if (feed.quote === null) {
+      feed.quote = this.startPrice;
+    } else {
+      const sigma = this.volatility * Math.sqrt((this.tickIntervalMs / 1000) / SECONDS_PER_YEAR);
+      feed.quote = this._round(feed.quote * Math.exp(sigma * this._gaussian()));
+    }
+
+    feed.epoch += feed.step;
+    feed.lastTick = {
+      symbol: feed.symbol,
+      quote: feed.quote,
+      epoch: feed.epoch,
+      id: `sim-tick-${this._nextId()}`,
+      pip_size: 2,
+    };
+
+    feed.history.push({ epoch: feed.epoch, quote: feed.quote });
+    if (feed.history.length > MAX_FEED_HISTORY) feed.history.shift();
+  }
+
+  /**
+   * Aggregates ticks into OHLC candles of `granularity` seconds.
+   */
+  _toCandles(ticks, granularity) {
+    const candles = [];
+    for (const { epoch, quote } of ticks) {
+      const candleEpoch = epoch - (epoch % granularity);
+      const last = candles[candles.length - 1];
+      if (last && last.epoch === candleEpoch) {
+        last.high = Math.max(last.high, quote);
+        last.low = Math.min(last.low, quote);
+        last.close = quote;
+      } else {
+        candles.push({ epoch: candleEpoch, open: quote, high: quote, low: quote, close: quote });
+      }
+    }
+    return candles;
+  }
+
+  _onFeedTick(feed) {
+    this._advanceFeed(feed);
+
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.type === "tick" && subscription.filter.symbol === feed.symbol) {
+        this._push(subscription, id, "tick", feed.lastTick);
+      }
+    }
+
+    for (const contract of this.contracts.values()) {
+      if (contract.is_sold || contract.underlying !== feed.symbol) continue;
+
+      this._updateContractValue(contract, feed.quote);
+      const exit = getMultiplierExit(contract.profit, contract.buy_price, contract.limit_order);
+
+      if (exit) {
+        this._settle(contract, exit);
+      } else {
+        this._broadcastContract(contract);
+      }
+    }
+  }
+
+  _updateContractValue(contract, spot) {
+    contract.current_spot = spot;
+    contract.current_spot_time = this._epoch();
+    contract.profit = calculateMultiplierProfit({
+      contractType: contract.contract_type,
+      stake: contract.buy_price,
+      multiplier: contract.multiplier,
+      commission: contract.commission,
+      entrySpot: contract.entry_spot,
+      spot,
+    });
+    contract.bid_price = this._round(contract.buy_price + contract.profit);
+  }
+
+  _settle(contract, status) {
+    contract.is_sold = 1;
+    contract.status = status === "sold" ? (contract.profit >= 0 ? "won" : "lost") : status;
+    contract.sell_price = contract.bid_price;
+    contract.sell_time = this._epoch();
+    contract.exit_tick = contract.current_spot;
+    contract.exit_tick_time = contract.current_spot_time;
+
+    this.account.balance = this._round(this.account.balance + contract.sell_price);
+    console.log(`🧪 Simulated contract ${contract.contract_id} ${contract.status} | Profit: ${contract.profit}`);
+
+    this._broadcastContract(contract);
+    this._broadcastBalance();
+
+    // A sold contract produces no further updates
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.filter.contract_id === contract.contract_id) {
+        this.subscriptions.delete(id);
+      }
+    }
+  }
+
+  _broadcastContract(contract) {
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.type !== "proposal_open_contract") continue;
+      if (subscription.filter.contract_id) {
+        if (subscription.filter.contract_id === contract.contract_id) this._push(subscription, id, "proposal_open_contract", { ...contract });
+        continue;
+      }
+
+      const streams = subscription.contractStreams;
+      if (!streams.has(contract.contract_id)) streams.set(contract.contract_id, `sim-sub-${this._nextId()}`);
+      this._push(subscription, streams.get(contract.contract_id), "proposal_open_contract", { ...contract });
+      if (contract.is_sold) streams.delete(contract.contract_id);
+    }
+  }
+
+  _broadcastBalance() {
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.type === "balance") {
+        this._push(subscription, id, "balance", this._balancePayload());
+      }
+    }
+  }
+
+  _balancePayload() {
+    return {
+      balance: this.account.balance,
+      currency: this.account.currency,
+      loginid: this.account.loginid,
+    };
+  }
+
+  // ------------------------------------------------------------------------
+  // Protocol Helpers
+  // ------------------------------------------------------------------------
+
+  _addSubscription(ws, request, type, filter) {
+    const id = `sim-sub-${this._nextId()}`;
+    this.subscriptions.set(id, { ws, type, filter, echo_req: request, req_id: request.req_id });
+    return { id };
+  }
+
+  _dropClientSubscriptions(ws) {
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.ws === ws) this.subscriptions.delete(id);
+    }
+  }
+
+  _push(subscription, id, msgType, body) {
+    this._send(subscription.ws, {
+      echo_req: subscription.echo_req,
+      msg_type: msgType,
+      [msgType]: body,
+      req_id: subscription.req_id,
+      subscription: { id },
+    });
+  }
+
+  _reply(ws, request, msgType, body, subscription) {
+    const message = { echo_req: request, msg_type: msgType, [msgType]: body };
+    if (request.req_id !== undefined) message.req_id = request.req_id;
+    if (subscription) message.subscription = subscription;
+    this._send(ws, message);
+  }
+
+  _sendError(ws, request, code, message, msgType) {
+    const response = { echo_req: request, error: { code, message } };
+    if (msgType) response.msg_type = msgType;
+    if (request.req_id !== undefined) response.req_id = request.req_id;
+    this._send(ws, response);
+  }
+
+  _send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  _nextId() {
+    return this.idCounter++;
+  }
+
+  _epoch() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  _round(value) {
+    return roundMoney(value);
+  }
+
+  /**
+   * Standard normal sample (Box-Muller).
+   */
+  _gaussian() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
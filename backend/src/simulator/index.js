@@ -0,0 +1,23 @@
+import 'dotenv/config';
+import DerivSimulator from './DerivSimulator.js';
+import { loadTicks } from '../utils/tickFile.js';
+
+const simulator = new DerivSimulator({
+  port: parseInt(process.env.SIM_PORT || '8765', 10),
+  balance: parseFloat(process.env.SIM_BALANCE || '10000'),
+  tickIntervalMs: parseInt(process.env.SIM_TICK_INTERVAL_MS || '1000', 10),
+  tickPath: process.env.SIM_TICK_FILE ? loadTicks(process.env.SIM_TICK_FILE).map((tick) => tick.quote) : null,
+  startPrice: parseFloat(process.env.SIM_START_PRICE || '1000'),
+  volatility: parseFloat(process.env.SIM_VOLATILITY || '1'),
+  commissionRate: parseFloat(process.env.SIM_COMMISSION_RATE || '0'),
+});
+
+simulator.start();
+
+const shutdown = async () => {
+  console.log('🚫 Stopping Deriv simulator...');
+  await simulator.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
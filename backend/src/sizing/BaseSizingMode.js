@@ -0,0 +1,51 @@
+/**
+ * @typedef {object} SizingContext
+ * @property {number} balance Balance the trade is paid from (virtual in paper mode).
+ * @property {number} baseStake The symbol's STAKE_AMOUNT.
+ * @property {number} stopLossMultiplier Fraction of the stake lost when the stop loss fires.
+ */
+
+/**
+ * @typedef {object} StakeProposal
+ * @property {number} stake Stake before `PositionSizer` applies the stake and risk limits.
+ * @property {string} reason How the stake was derived, recorded on the trade.
+ */
+
+/**
+ * Base Sizing Mode
+ * Contract every position sizing plugin implements: propose the next trade's stake.
+ * `PositionSizer` owns one instance per symbol, feeds it ticks and closed trades, and
+ * enforces the minimum/maximum stake and the risk per trade on top of its proposal.
+ */
+export default class BaseSizingMode {
+  /**
+   * @param {object} [params] Mode specific parameters (SIZING_PARAMS).
+   */
+  constructor(params = {}) {
+    this.params = params;
+  }
+
+  /**
+   * Number of historical ticks the mode needs before its proposals are meaningful.
+   */
+  get warmupTicks() {
+    return 0;
+  }
+
+  /**
+   * @param {SizingContext} context
+   * @returns {StakeProposal}
+   */
+  getStake(context) {
+    throw new Error(`${this.constructor.name} must implement getStake()`);
+  }
+
+  /** Called with every tick of the symbol, history replays included. */
+  onTick(tick) { }
+
+  /** Called with `{ id, symbol, action, profit, sellPrice }` when a trade of the symbol closed. */
+  onTradeClosed(trade) { }
+
+  /** Called when market data stopped (disconnect). */
+  reset() { }
+}
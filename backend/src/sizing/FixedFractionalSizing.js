@@ -0,0 +1,19 @@
+import BaseSizingMode from "./BaseSizingMode.js";
+
+/**
+ * Risks a fixed fraction of the balance per trade: the stake whose stop loss costs
+ * `riskFraction` of the balance (the whole stake when no stop loss is set).
+ */
+export default class FixedFractionalSizing extends BaseSizingMode {
+  get riskFraction() {
+    return this.params.riskFraction ?? 0.01;
+  }
+
+  getStake({ balance, stopLossMultiplier }) {
+    const risk = balance * this.riskFraction;
+    return {
+      stake: stopLossMultiplier > 0 ? risk / stopLossMultiplier : risk,
+      reason: `${(this.riskFraction * 100).toFixed(2)}% of $${balance.toFixed(2)} at risk`,
+    };
+  }
+}
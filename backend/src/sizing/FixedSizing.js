@@ -0,0 +1,10 @@
+import BaseSizingMode from "./BaseSizingMode.js";
+
+/**
+ * Always the symbol's STAKE_AMOUNT.
+ */
+export default class FixedSizing extends BaseSizingMode {
+  getStake({ baseStake }) {
+    return { stake: baseStake, reason: "fixed stake" };
+  }
+}
@@ -0,0 +1,49 @@
+import BaseSizingMode from "./BaseSizingMode.js";
+
+/**
+ * Martingale: multiplies STAKE_AMOUNT by `factor` after every consecutive loss and
+ * returns to it after a win. The streak is capped at `maxSteps`, so the stake never
+ * exceeds `STAKE_AMOUNT * factor ^ maxSteps`.
+ */
+export default class MartingaleSizing extends BaseSizingMode {
+  constructor(params = {}) {
+    super(params);
+    const { factor = 2, maxSteps = 3 } = params;
+    this.factor = factor;
+    this.maxSteps = maxSteps;
+    this.steps = 0;
+  }
+
+  get label() {
+    return "martingale";
+  }
+
+  /** Whether a trade's result extends the streak. */
+  extendsStreak(profit) {
+    return profit < 0;
+  }
+
+  onTradeClosed({ profit }) {
+    this.steps = this.extendsStreak(profit) ? Math.min(this.steps + 1, this.maxSteps) : 0;
+  }
+
+  getStake({ baseStake }) {
+    return {
+      stake: baseStake * Math.pow(this.factor, this.steps),
+      reason: `${this.label} step ${this.steps}/${this.maxSteps}`,
+    };
+  }
+}
+
+/**
+ * Anti-martingale: presses winning streaks instead, returning to STAKE_AMOUNT after a loss.
+ */
+export class AntiMartingaleSizing extends MartingaleSizing {
+  get label() {
+    return "anti-martingale";
+  }
+
+  extendsStreak(profit) {
+    return profit > 0;
+  }
+}
@@ -0,0 +1,110 @@
+import { createSizingMode } from "./index.js";
+import { roundMoney } from "../utils/multiplier.js";
+import config from "../config.js";
+
+/**
+ * @typedef {object} SizingDecision
+ * @property {string} mode Sizing mode that proposed the stake.
+ * @property {number|null} stake Stake to trade, or null when the trade must be skipped.
+ * @property {number} proposedStake The mode's stake before limits.
+ * @property {string} reason How the mode derived its stake.
+ * @property {string[]} limits Limits that changed the proposed stake, in the order applied.
+ * @property {number} balance Balance the decision was based on.
+ * @property {number} risk Amount lost if the stop loss fires.
+ * @property {string|null} rejected Why the trade is skipped.
+ */
+
+/**
+ * Shape of a decision as stored on a `Trade` document.
+ */
+export const toTradeSizing = (sizing) => ({
+  mode: sizing.mode,
+  stake: sizing.stake,
+  proposed_stake: sizing.proposedStake,
+  reason: sizing.reason,
+  limits: sizing.limits,
+  balance: sizing.balance,
+  risk: sizing.risk,
+});
+
+/**
+ * Position Sizer
+ * Decides the stake of a symbol's next trade: its sizing mode (SIZING_MODE) proposes one
+ * from the current balance, then MIN_STAKE, MAX_STAKE, MAX_RISK_PER_TRADE and the balance
+ * itself bound it. The full decision is returned so it can be stored with the trade.
+ */
+export default class PositionSizer {
+  /**
+   * @param {object} settings Symbol settings (see `getSymbolSettings`).
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.modeName = settings.SIZING_MODE;
+    this.mode = createSizingMode(settings.SIZING_MODE, settings.SIZING_PARAMS);
+  }
+
+  get warmupTicks() {
+    return this.mode.warmupTicks;
+  }
+
+  onTick(tick) {
+    this.mode.onTick(tick);
+  }
+
+  onTradeClosed(trade) {
+    this.mode.onTradeClosed(trade);
+  }
+
+  reset() {
+    this.mode.reset();
+  }
+
+  /**
+   * @param {number} balance Balance the trade is paid from.
+   * @returns {SizingDecision}
+   */
+  size(balance) {
+    const { STAKE_AMOUNT, STOP_LOSS_MULTIPLIER } = this.settings;
+    const { MIN_STAKE, MAX_STAKE, MAX_RISK_PER_TRADE } = config;
+    // Share of the stake lost on a stop loss; without one the whole stake is at risk
+    const riskPerStake = STOP_LOSS_MULTIPLIER > 0 ? Math.min(STOP_LOSS_MULTIPLIER, 1) : 1;
+
+    const proposal = this.mode.getStake({ balance, baseStake: STAKE_AMOUNT, stopLossMultiplier: STOP_LOSS_MULTIPLIER });
+    const limits = [];
+    let stake = proposal.stake;
+
+    if (stake < MIN_STAKE) {
+      stake = MIN_STAKE;
+      limits.push(`min stake $${MIN_STAKE}`);
+    }
+
+    const caps = [{ value: balance, label: "available balance" }];
+    if (MAX_STAKE > 0) caps.push({ value: MAX_STAKE, label: `max stake $${MAX_STAKE}` });
+    if (MAX_RISK_PER_TRADE > 0) {
+      caps.push({ value: (balance * MAX_RISK_PER_TRADE) / riskPerStake, label: `max risk ${(MAX_RISK_PER_TRADE * 100).toFixed(2)}% of balance` });
+    }
+    for (const cap of caps) {
+      if (stake > cap.value) {
+        stake = cap.value;
+        limits.push(cap.label);
+      }
+    }
+
+    // Whole cents, rounded down so no limit is exceeded
+    stake = Math.floor(stake * 100 + 1e-9) / 100;
+    // Blame the last limit applied; with none, the mode's own stake fell short once rounded to cents
+    const limitedBy = limits.length > 0 ? limits[limits.length - 1] : `${this.modeName} sizing`;
+    const rejected = stake < MIN_STAKE ? `${limitedBy} allows less than the $${MIN_STAKE} minimum stake` : null;
+
+    return {
+      mode: this.modeName,
+      stake: rejected ? null : stake,
+      proposedStake: roundMoney(proposal.stake),
+      reason: proposal.reason,
+      limits,
+      balance,
+      risk: roundMoney(stake * riskPerStake),
+      rejected,
+    };
+  }
+}
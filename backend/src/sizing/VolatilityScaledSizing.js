@@ -0,0 +1,43 @@
+import BaseSizingMode from "./BaseSizingMode.js";
+import { ATRStream } from "../utils/indicators.js";
+
+/**
+ * Scales STAKE_AMOUNT by how calm the market is: the long-run tick ATR (`lookback`)
+ * over the recent one (`period`), bounded to [1 / maxScale, maxScale]. Calm markets
+ * get bigger stakes and volatile ones smaller, keeping the expected swing per trade
+ * roughly constant. Uses STAKE_AMOUNT until both averages are warm.
+ */
+export default class VolatilityScaledSizing extends BaseSizingMode {
+  constructor(params = {}) {
+    super(params);
+    const { period = 20, lookback = 300, maxScale = 3 } = params;
+    this.maxScale = maxScale;
+    this.recent = new ATRStream({ period });
+    this.longRun = new ATRStream({ period: lookback });
+  }
+
+  get warmupTicks() {
+    return this.longRun.period + 1;
+  }
+
+  onTick(tick) {
+    this.recent.update(tick.quote);
+    this.longRun.update(tick.quote);
+  }
+
+  getStake({ baseStake }) {
+    const { value: recentAtr } = this.recent;
+    const { value: longRunAtr } = this.longRun;
+    if (!recentAtr || !longRunAtr) {
+      return { stake: baseStake, reason: "volatility warming up, fixed stake" };
+    }
+
+    const scale = Math.min(Math.max(longRunAtr / recentAtr, 1 / this.maxScale), this.maxScale);
+    return { stake: baseStake * scale, reason: `volatility scale ${scale.toFixed(2)}x` };
+  }
+
+  reset() {
+    this.recent.reset();
+    this.longRun.reset();
+  }
+}
@@ -0,0 +1,44 @@
+import BaseSizingMode from "./BaseSizingMode.js";
+import FixedSizing from "./FixedSizing.js";
+import FixedFractionalSizing from "./FixedFractionalSizing.js";
+import VolatilityScaledSizing from "./VolatilityScaledSizing.js";
+import MartingaleSizing, { AntiMartingaleSizing } from "./MartingaleSizing.js";
+
+/**
+ * Sizing Mode Registry
+ * Maps the names used in config (SIZING_MODE) to position sizing plugin classes.
+ */
+const registry = new Map();
+
+/**
+ * Makes a sizing mode selectable by name. Plugins must extend `BaseSizingMode`.
+ */
+export const registerSizingMode = (name, SizingClass) => {
+  if (!(SizingClass.prototype instanceof BaseSizingMode)) {
+    throw new Error(`Sizing mode '${name}' must extend BaseSizingMode`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Sizing mode '${name}' is already registered`);
+  }
+  registry.set(name, SizingClass);
+};
+
+/**
+ * Instantiates a registered sizing mode for one symbol.
+ */
+export const createSizingMode = (name, params) => {
+  const SizingClass = registry.get(name);
+  if (!SizingClass) {
+    throw new Error(`Unknown sizing mode '${name}'. Available: ${listSizingModes().join(", ")}`);
+  }
+  return new SizingClass(params);
+};
+
+export const listSizingModes = () => [...registry.keys()];
+
+// Built-in modes
+registerSizingMode("fixed", FixedSizing);
+registerSizingMode("fixed-fractional", FixedFractionalSizing);
+registerSizingMode("volatility", VolatilityScaledSizing);
+registerSizingMode("martingale", MartingaleSizing);
+registerSizingMode("anti-martingale", AntiMartingaleSizing);
@@ -0,0 +1,111 @@
+/**
+ * @typedef {object} Signal
+ * @property {"MULTUP"|"MULTDOWN"} contractType Deriv contract to buy.
+ * @property {"up"|"down"} direction Label used in logs and the UI.
+ * @property {string} [reason] Why the strategy fired, for logs.
+ */
+
+/**
+ * @typedef {object} TickContext
+ * @property {boolean} hasOpenPosition Whether the engine holds a position (or a buy in flight) on this symbol.
+ * @property {number} openPositions How many it holds.
+ * @property {boolean} canOpenPosition Whether the engine would act on a signal now (position and risk limits).
+ * @property {boolean} exitOnSignal Signals also close open positions in the other direction (EXIT_ON_OPPOSITE_SIGNAL).
+ * @property {boolean} isWarmup True while replaying history; signals are ignored.
+ */
+
+/**
+ * Base Strategy
+ * Contract every strategy plugin implements. Strategies never touch the Deriv
+ * connection: the `TradingEngine` feeds them market data and executes the
+ * signals they return. Override only the hooks you need.
+ */
+export default class BaseStrategy {
+  /**
+   * @param {object} options
+   * @param {string} options.symbol Deriv symbol this instance trades.
+   * @param {object} [options.params] Strategy specific parameters.
+   * @param {(change: object) => void} [options.onStateChange] Receives the strategy's internal state transitions.
+   */
+  constructor({ symbol, params = {}, onStateChange = () => { } } = {}) {
+    this.symbol = symbol;
+    this.params = params;
+    this.onStateChange = onStateChange;
+  }
+
+  /**
+   * Number of historical ticks the engine replays through `onTick` on start and after reconnects.
+   */
+  get warmupTicks() {
+    return 0;
+  }
+
+  /**
+   * Candle size in seconds for `onCandle`, or null when the strategy only works on ticks.
+   */
+  get candleGranularity() {
+    return null;
+  }
+
+  // ------------------------------------------------------------------------
+  // Lifecycle
+  // ------------------------------------------------------------------------
+
+  /** Called once before any market data arrives. */
+  async init() { }
+
+  /** Called when market data stopped (disconnect); drop state that assumed a continuous feed. */
+  reset() { }
+
+  /** Called when the engine shuts down. */
+  async dispose() { }
+
+  /**
+   * Strategy specific state shown per symbol in the dashboard (e.g. `{ armed: true }`).
+   */
+  getStatus() {
+    return {};
+  }
+
+  /**
+   * Reports an internal state transition (e.g. `{ from, to, reason }`) for logs and debugging in the UI.
+   */
+  reportStateChange(change) {
+    this.onStateChange(change);
+  }
+
+  // ------------------------------------------------------------------------
+  // Market Data (return a Signal to trade, or null)
+  // ------------------------------------------------------------------------
+
+  /**
+   * @param {{ symbol: string, quote: number, epoch: number }} tick
+   * @param {TickContext} context
+   * @returns {Signal|null}
+   */
+  onTick(tick, context) {
+    return null;
+  }
+
+  /**
+   * @param {{ epoch: number, open: number, high: number, low: number, close: number }} candle
+   * @param {TickContext} context
+   * @returns {Signal|null}
+   */
+  onCandle(candle, context) {
+    return null;
+  }
+
+  // ------------------------------------------------------------------------
+  // Position Feedback
+  // ------------------------------------------------------------------------
+
+  /** Every `proposal_open_contract` update for a contract this strategy opened. */
+  onContractUpdate(contractInfo) { }
+
+  onTradeOpened(trade) { }
+
+  onTradeClosed(trade) { }
+
+  onTradeFailed(failure) { }
+}
@@ -0,0 +1,89 @@
+import BaseStrategy from "./BaseStrategy.js";
+import config from "../config.js";
+import { BollingerBandsStream } from "../utils/indicators.js";
+import SqueezeStateMachine from "./SqueezeStateMachine.js";
+
+/**
+ * Bollinger Reversal
+ * Arms on a Bollinger squeeze over the last `tickLimit` ticks, then fades a break of
+ * the upper or lower band. The original Volatility100 strategy, ported as a plugin.
+ * Arming is driven by a `SqueezeStateMachine` with hysteresis, minimum duration and expiry.
+ */
+export default class BollingerReversalStrategy extends BaseStrategy {
+  constructor(options) {
+    super(options);
+    this.tickLimit = this.params.tickLimit ?? config.TICK_LIMIT;
+    this.deviation = this.params.deviation ?? config.BOLLINGER_DEVIATION;
+    this.squeezeThreshold = this.params.squeezeThreshold ?? config.SQUEEZE_THRESHOLD;
+
+    this.bands = new BollingerBandsStream({ period: this.tickLimit, deviation: this.deviation });
+    this.squeeze = new SqueezeStateMachine({
+      armThreshold: this.squeezeThreshold,
+      disarmThreshold: this.params.squeezeDisarmThreshold ?? config.SQUEEZE_DISARM_THRESHOLD ?? this.squeezeThreshold,
+      minTicks: this.params.squeezeMinTicks ?? config.SQUEEZE_MIN_TICKS,
+      armExpiryTicks: this.params.squeezeArmExpiryTicks ?? config.SQUEEZE_ARM_EXPIRY_TICKS,
+    }, (change) => this.reportStateChange(change));
+  }
+
+  get isArmed() {
+    return this.squeeze.isArmed;
+  }
+
+  get warmupTicks() {
+    return this.tickLimit;
+  }
+
+  getStatus() {
+    return { armed: this.isArmed, squeezeState: this.squeeze.state };
+  }
+
+  reset() {
+    // Ticks from before the gap no longer describe the market; require a fresh buffer and squeeze
+    this.bands.reset();
+    this.squeeze.disarm("market data gap");
+  }
+
+  onTick(tickData, { hasOpenPosition, canOpenPosition, exitOnSignal, isWarmup }) {
+    const price = tickData.quote;
+
+    // 1. Rolling bands over the last tickLimit ticks, updated in O(1)
+    const bands = this.bands.update(price);
+    if (!bands || isWarmup) return null;
+
+    const { upper, lower, bandwidth } = bands;
+
+    // 2. Execution conditions
+    // A signal that cannot open a position may still close the open ones
+    if (!canOpenPosition && !(exitOnSignal && hasOpenPosition)) return null;
+
+    let signal = null;
+    if (this.isArmed) {
+
+      // INVERTED LOGIC:
+      // If price violently breaks UPPER band, we expect a reversal DOWN (SHORT)
+      if (price > upper) {
+        signal = { contractType: "MULTUP", direction: "up", reason: "upper band break" };
+      }
+      // If price violently breaks LOWER band, we expect a reversal UP (LONG)
+      else if (price < lower) {
+        signal = { contractType: "MULTDOWN", direction: "down", reason: "lower band break" };
+      }
+    }
+
+    // Re-evaluate Squeeze continuously. If it expands prior to triggers, disarm.
+    this.squeeze.update(bandwidth, tickData.epoch);
+    return signal;
+  }
+
+  onTradeOpened() {
+    this.squeeze.disarm("trade opened"); // Each entry needs its own squeeze when several positions are allowed
+  }
+
+  onTradeClosed() {
+    this.squeeze.disarm("trade closed"); // Require a fresh squeeze to take new action
+  }
+
+  onTradeFailed() {
+    this.squeeze.disarm("trade failed");
+  }
+}
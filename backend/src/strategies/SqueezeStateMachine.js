@@ -0,0 +1,78 @@
+export const SqueezeState = Object.freeze({
+  IDLE: "IDLE", // Bandwidth outside the squeeze
+  SQUEEZE: "SQUEEZE", // In the squeeze, not yet for long enough to arm
+  ARMED: "ARMED", // Signals may fire
+  EXPIRED: "EXPIRED", // Armed for too long without firing; waits for the squeeze to end
+});
+
+/**
+ * Squeeze State Machine
+ * Decides when a band-break strategy is armed. A tick is "in squeeze" once bandwidth
+ * rises above `armThreshold`, and the squeeze only ends when it falls below the lower
+ * `disarmThreshold`, so values in between cannot make the state chatter. Arming needs
+ * `minTicks` consecutive ticks in squeeze and lapses after `armExpiryTicks` (0 = never).
+ * Every transition is reported to `onTransition({ from, to, reason, bandwidth, epoch })`.
+ */
+export default class SqueezeStateMachine {
+  constructor({ armThreshold, disarmThreshold = armThreshold, minTicks = 1, armExpiryTicks = 0 }, onTransition = () => { }) {
+    if (disarmThreshold > armThreshold) {
+      throw new Error(`Squeeze disarm threshold (${disarmThreshold}) must not exceed the arm threshold (${armThreshold})`);
+    }
+    this.armThreshold = armThreshold;
+    this.disarmThreshold = disarmThreshold;
+    this.minTicks = Math.max(minTicks, 1);
+    this.armExpiryTicks = armExpiryTicks;
+    this.onTransition = onTransition;
+
+    this.state = SqueezeState.IDLE;
+    this.ticksInState = 0;
+  }
+
+  get isArmed() {
+    return this.state === SqueezeState.ARMED;
+  }
+
+  /**
+   * Advances the machine by one tick's bandwidth.
+   */
+  update(bandwidth, epoch) {
+    const context = { bandwidth, epoch };
+    this.ticksInState++;
+
+    if (this.state === SqueezeState.IDLE) {
+      if (bandwidth > this.armThreshold) {
+        this._transition(SqueezeState.SQUEEZE, "bandwidth above arm threshold", context);
+        this.ticksInState = 1;
+      } else {
+        return;
+      }
+    } else if (bandwidth < this.disarmThreshold) {
+      this._transition(SqueezeState.IDLE, "bandwidth below disarm threshold", context);
+      return;
+    }
+
+    // Strategies check for a signal before updating the machine, so the armed tick that
+    // reaches armExpiryTicks has already had its chance to fire
+    if (this.state === SqueezeState.SQUEEZE && this.ticksInState >= this.minTicks) {
+      this._transition(SqueezeState.ARMED, `${this.ticksInState} tick(s) in squeeze`, context);
+    } else if (this.state === SqueezeState.ARMED && this.armExpiryTicks > 0 && this.ticksInState >= this.armExpiryTicks) {
+      this._transition(SqueezeState.EXPIRED, `no signal within ${this.armExpiryTicks} armed tick(s)`, context);
+    }
+  }
+
+  /**
+   * Returns to IDLE so a fresh squeeze is required (after a trade, or when data stopped).
+   */
+  disarm(reason) {
+    if (this.state !== SqueezeState.IDLE) {
+      this._transition(SqueezeState.IDLE, reason, {});
+    }
+  }
+
+  _transition(to, reason, { bandwidth = null, epoch = null }) {
+    const from = this.state;
+    this.state = to;
+    this.ticksInState = 0;
+    this.onTransition({ from, to, reason, bandwidth, epoch });
+  }
+}
@@ -0,0 +1,37 @@
+import BaseStrategy from "./BaseStrategy.js";
+import BollingerReversalStrategy from "./BollingerReversalStrategy.js";
+
+/**
+ * Strategy Registry
+ * Maps the names used in config (STRATEGY) to strategy plugin classes.
+ */
+const registry = new Map();
+
+/**
+ * Makes a strategy selectable by name. Plugins must extend `BaseStrategy`.
+ */
+export const registerStrategy = (name, StrategyClass) => {
+  if (!(StrategyClass.prototype instanceof BaseStrategy)) {
+    throw new Error(`Strategy '${name}' must extend BaseStrategy`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Strategy '${name}' is already registered`);
+  }
+  registry.set(name, StrategyClass);
+};
+
+/**
+ * Instantiates a registered strategy for one symbol.
+ */
+export const createStrategy = (name, options) => {
+  const StrategyClass = registry.get(name);
+  if (!StrategyClass) {
+    throw new Error(`Unknown strategy '${name}'. Available: ${listStrategies().join(", ")}`);
+  }
+  return new StrategyClass(options);
+};
+
+export const listStrategies = () => [...registry.keys()];
+
+// Built-in plugins
+registerStrategy("bollinger-reversal", BollingerReversalStrategy);
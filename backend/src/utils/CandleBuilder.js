@@ -0,0 +1,32 @@
+/**
+ * Aggregates a tick stream into OHLC candles of a fixed granularity (seconds).
+ * A candle is only reported once the first tick of the next period arrives.
+ */
+export default class CandleBuilder {
+  constructor(granularity) {
+    this.granularity = granularity;
+    this.current = null;
+  }
+
+  /**
+   * Adds a tick and returns the candle it closed, if any.
+   */
+  push({ epoch, quote }) {
+    const candleEpoch = epoch - (epoch % this.granularity);
+
+    if (this.current && this.current.epoch === candleEpoch) {
+      this.current.high = Math.max(this.current.high, quote);
+      this.current.low = Math.min(this.current.low, quote);
+      this.current.close = quote;
+      return null;
+    }
+
+    const closed = this.current;
+    this.current = { epoch: candleEpoch, open: quote, high: quote, low: quote, close: quote };
+    return closed;
+  }
+
+  reset() {
+    this.current = null;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Fixed-capacity FIFO over a preallocated array. Pushing into a full buffer
+ * overwrites the oldest value in O(1), unlike `Array.prototype.shift`.
+ */
+export default class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.values = new Array(capacity);
+    this.clear();
+  }
+
+  get isFull() {
+    return this.length === this.capacity;
+  }
+
+  /**
+   * Appends a value and returns the one it evicted, or undefined while not yet full.
+   */
+  push(value) {
+    const index = (this.start + this.length) % this.capacity;
+    let evicted;
+
+    if (this.isFull) {
+      evicted = this.values[this.start];
+      this.start = (this.start + 1) % this.capacity;
+    } else {
+      this.length++;
+    }
+    this.values[index] = value;
+    return evicted;
+  }
+
+  /**
+   * Value at `index`, 0 being the oldest.
+   */
+  get(index) {
+    return this.values[(this.start + index) % this.capacity];
+  }
+
+  /** Values oldest first. */
+  toArray() {
+    return Array.from({ length: this.length }, (_, index) => this.get(index));
+  }
+
+  clear() {
+    this.start = 0;
+    this.length = 0;
+  }
+}
@@ -0,0 +1,261 @@
+import RingBuffer from "./RingBuffer.js";
+import {
+  calculateTrueRange,
+  rsiFromAverages,
+  squeezeFromBands,
+  toCandle,
+} from "./math.js";
+
+/**
+ * Streaming indicators
+ * Each one is fed a value per tick or candle with `update()`, which returns the
+ * latest value (null until warmed up) in O(1) and gives the same result as the
+ * matching batch function in `math.js` over the same history (the `RollingStats`
+ * based ones within rounding, see there). Strategies can keep several side by side
+ * to combine them as filters.
+ */
+
+/**
+ * Rolling mean and population variance over the last `period` values in O(1) per update:
+ * Welford's recurrence, extended to replace the value leaving the window. Every `period`
+ * updates the sums are re-anchored on the batch two-pass result (amortised O(1)), so they
+ * equal `calculateSMA` / `calculateSD` exactly then and stay within rounding of them between.
+ */
+export class RollingStats {
+  constructor(period) {
+    this.period = period;
+    this.window = new RingBuffer(period);
+    this.reset();
+  }
+
+  update(value) {
+    const evicted = this.window.push(value);
+
+    if (evicted === undefined) {
+      const delta = value - this.mean;
+      this.mean += delta / this.window.length;
+      this.m2 += delta * (value - this.mean);
+    } else {
+      const previousMean = this.mean;
+      this.mean += (value - evicted) / this.period;
+      this.m2 += (value - evicted) * (value - this.mean + evicted - previousMean);
+    }
+
+    if (++this.updatesSinceAnchor >= this.period) this._anchor();
+  }
+
+  get count() {
+    return this.window.length;
+  }
+
+  get variance() {
+    return Math.max(this.m2, 0) / this.window.length;
+  }
+
+  get sd() {
+    return Math.sqrt(this.variance);
+  }
+
+  /**
+   * Same sums, in the same order, as `calculateSMA` and `calculateSD` over the window.
+   */
+  _anchor() {
+    const { length } = this.window;
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += this.window.get(i);
+    this.mean = sum / length;
+
+    let m2 = 0;
+    for (let i = 0; i < length; i++) m2 += Math.pow(this.window.get(i) - this.mean, 2);
+    this.m2 = m2;
+    this.updatesSinceAnchor = 0;
+  }
+
+  reset() {
+    this.window.clear();
+    this.mean = 0;
+    this.m2 = 0;
+    this.updatesSinceAnchor = 0;
+  }
+}
+
+export class BollingerBandsStream {
+  constructor({ period = 20, deviation = 2 } = {}) {
+    this.period = period;
+    this.deviation = deviation;
+    this.stats = new RollingStats(period);
+    this.value = null;
+  }
+
+  update(price) {
+    this.stats.update(price);
+    if (this.stats.count < this.period) return null;
+
+    const { mean: sma, sd } = this.stats;
+    const upper = sma + (this.deviation * sd);
+    const lower = sma - (this.deviation * sd);
+
+    this.value = { sma, sd, upper, lower, bandwidth: (upper - lower) / sma };
+    return this.value;
+  }
+
+  reset() {
+    this.stats.reset();
+    this.value = null;
+  }
+}
+
+export class EMAStream {
+  constructor({ period = 20 } = {}) {
+    this.period = period;
+    this.alpha = 2 / (period + 1);
+    this.reset();
+  }
+
+  update(price) {
+    this.count++;
+    if (this.count < this.period) {
+      this.seedSum += price;
+      return null;
+    }
+
+    this.value = this.count === this.period
+      ? (this.seedSum + price) / this.period
+      : this.alpha * price + (1 - this.alpha) * this.value;
+    return this.value;
+  }
+
+  reset() {
+    this.count = 0;
+    this.seedSum = 0;
+    this.value = null;
+  }
+}
+
+export class RSIStream {
+  constructor({ period = 14 } = {}) {
+    this.period = period;
+    this.reset();
+  }
+
+  update(price) {
+    const previous = this.previousPrice;
+    this.previousPrice = price;
+    if (previous == null) return null;
+
+    const change = price - previous;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    this.changes++;
+
+    if (this.changes <= this.period) {
+      this.avgGain += gain;
+      this.avgLoss += loss;
+      if (this.changes < this.period) return null;
+      this.avgGain /= this.period;
+      this.avgLoss /= this.period;
+    } else {
+      this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+      this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+    }
+
+    this.value = rsiFromAverages(this.avgGain, this.avgLoss);
+    return this.value;
+  }
+
+  reset() {
+    this.previousPrice = null;
+    this.changes = 0;
+    this.avgGain = 0;
+    this.avgLoss = 0;
+    this.value = null;
+  }
+}
+
+/**
+ * Accepts candles or plain tick quotes, like `calculateATR`.
+ */
+export class ATRStream {
+  constructor({ period = 14 } = {}) {
+    this.period = period;
+    this.reset();
+  }
+
+  update(input) {
+    const candle = toCandle(input);
+    const previousClose = this.previousClose;
+    this.previousClose = candle.close;
+    if (previousClose == null) return null;
+
+    const trueRange = calculateTrueRange(candle, previousClose);
+    this.ranges++;
+
+    if (this.ranges <= this.period) {
+      this.sum += trueRange;
+      if (this.ranges < this.period) return null;
+      this.value = this.sum / this.period;
+    } else {
+      this.value = (this.value * (this.period - 1) + trueRange) / this.period;
+    }
+    return this.value;
+  }
+
+  reset() {
+    this.previousClose = null;
+    this.ranges = 0;
+    this.sum = 0;
+    this.value = null;
+  }
+}
+
+export class KeltnerChannelsStream {
+  constructor({ period = 20, multiplier = 1.5, atrPeriod = period } = {}) {
+    this.multiplier = multiplier;
+    this.ema = new EMAStream({ period });
+    this.atr = new ATRStream({ period: atrPeriod });
+    this.value = null;
+  }
+
+  update(input) {
+    const candle = toCandle(input);
+    const middle = this.ema.update(candle.close);
+    const atr = this.atr.update(candle);
+
+    this.value = middle == null || atr == null ? null : {
+      middle,
+      atr,
+      upper: middle + this.multiplier * atr,
+      lower: middle - this.multiplier * atr,
+    };
+    return this.value;
+  }
+
+  reset() {
+    this.ema.reset();
+    this.atr.reset();
+    this.value = null;
+  }
+}
+
+export class SqueezeStream {
+  constructor({ bbPeriod = 20, bbDeviation = 2, kcPeriod = 20, kcMultiplier = 1.5, atrPeriod = kcPeriod } = {}) {
+    this.bollinger = new BollingerBandsStream({ period: bbPeriod, deviation: bbDeviation });
+    this.keltner = new KeltnerChannelsStream({ period: kcPeriod, multiplier: kcMultiplier, atrPeriod });
+    this.value = null;
+  }
+
+  update(input) {
+    const candle = toCandle(input);
+    const bollinger = this.bollinger.update(candle.close);
+    const keltner = this.keltner.update(candle);
+
+    this.value = bollinger && keltner ? squeezeFromBands(bollinger, keltner) : null;
+    return this.value;
+  }
+
+  reset() {
+    this.bollinger.reset();
+    this.keltner.reset();
+    this.value = null;
+  }
+}
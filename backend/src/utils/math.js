@@ -1,5 +1,7 @@
 /**
  * Utility functions for statistical price calculations.
+ * Batch form: each function takes the full history (oldest first) and returns the latest value,
+ * or null while there is not enough data. See `indicators.js` for the streaming form.
  */
 
 export function calculateSMA(prices) {
@@ -13,16 +15,20 @@ export function calculateSD(prices, sma) {
   return Math.sqrt(variance);
 }
 
-export function calculateBollingerBands(prices) {
-  if (!prices || prices.length === 0) {
+/**
+ * Bollinger Bands over the last `period` prices (default: all of them), `deviation` SDs wide.
+ */
+export function calculateBollingerBands(prices, { period = prices?.length, deviation = 2 } = {}) {
+  if (!prices || prices.length === 0 || prices.length < period) {
     return null;
   }
 
-  const sma = calculateSMA(prices);
-  const sd = calculateSD(prices, sma);
+  const window = prices.slice(-period);
+  const sma = calculateSMA(window);
+  const sd = calculateSD(window, sma);
 
-  const upper = sma + (2 * sd);
-  const lower = sma - (2 * sd);
+  const upper = sma + (deviation * sd);
+  const lower = sma - (deviation * sd);
   const bandwidth = (upper - lower) / sma;
 
   return {
@@ -33,3 +39,121 @@ export function calculateBollingerBands(prices) {
     bandwidth
   };
 }
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` prices.
+ */
+export function calculateEMA(prices, period) {
+  if (prices.length < period) return null;
+
+  const alpha = 2 / (period + 1);
+  let ema = calculateSMA(prices.slice(0, period));
+  for (let i = period; i < prices.length; i++) {
+    ema = alpha * prices[i] + (1 - alpha) * ema;
+  }
+  return ema;
+}
+
+/**
+ * Relative Strength Index with Wilder's smoothing. Needs `period + 1` prices.
+ */
+export function calculateRSI(prices, period = 14) {
+  if (prices.length < period + 1) return null;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = prices[i] - prices[i - 1];
+    avgGain += Math.max(change, 0);
+    avgLoss += Math.max(-change, 0);
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < prices.length; i++) {
+    const change = prices[i] - prices[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  return rsiFromAverages(avgGain, avgLoss);
+}
+
+export function rsiFromAverages(avgGain, avgLoss) {
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+/**
+ * Normalises a tick quote or an OHLC candle to `{ high, low, close }`.
+ */
+export function toCandle(input) {
+  return typeof input === "number" ? { high: input, low: input, close: input } : input;
+}
+
+/**
+ * True range of a candle given the previous close (null for the first candle).
+ */
+export function calculateTrueRange({ high, low }, previousClose) {
+  if (previousClose == null) return high - low;
+  return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+}
+
+/**
+ * Average True Range with Wilder's smoothing. Accepts candles or plain tick quotes
+ * (a tick's true range is its move from the previous tick). Needs `period` true ranges
+ * after the first input.
+ */
+export function calculateATR(inputs, period = 14) {
+  const candles = inputs.map(toCandle);
+  if (candles.length < period + 1) return null;
+
+  let atr = 0;
+  for (let i = 1; i <= period; i++) {
+    atr += calculateTrueRange(candles[i], candles[i - 1].close);
+  }
+  atr /= period;
+
+  for (let i = period + 1; i < candles.length; i++) {
+    atr = (atr * (period - 1) + calculateTrueRange(candles[i], candles[i - 1].close)) / period;
+  }
+  return atr;
+}
+
+/**
+ * Keltner Channels: EMA of closes `period` long, `multiplier` ATRs wide.
+ */
+export function calculateKeltnerChannels(inputs, { period = 20, multiplier = 1.5, atrPeriod = period } = {}) {
+  const candles = inputs.map(toCandle);
+  const middle = calculateEMA(candles.map((candle) => candle.close), period);
+  const atr = calculateATR(candles, atrPeriod);
+  if (middle == null || atr == null) return null;
+
+  return {
+    middle,
+    atr,
+    upper: middle + multiplier * atr,
+    lower: middle - multiplier * atr,
+  };
+}
+
+/**
+ * Bollinger/Keltner squeeze: volatility is compressed while the Bollinger Bands sit
+ * inside the Keltner Channels.
+ */
+export function calculateSqueeze(inputs, { bbPeriod = 20, bbDeviation = 2, kcPeriod = 20, kcMultiplier = 1.5, atrPeriod = kcPeriod } = {}) {
+  const candles = inputs.map(toCandle);
+  const bollinger = calculateBollingerBands(candles.map((candle) => candle.close), { period: bbPeriod, deviation: bbDeviation });
+  const keltner = calculateKeltnerChannels(candles, { period: kcPeriod, multiplier: kcMultiplier, atrPeriod });
+  if (!bollinger || !keltner) return null;
+
+  return squeezeFromBands(bollinger, keltner);
+}
+
+export function squeezeFromBands(bollinger, keltner) {
+  return {
+    isSqueezed: bollinger.upper < keltner.upper && bollinger.lower > keltner.lower,
+    bollinger,
+    keltner,
+  };
+}
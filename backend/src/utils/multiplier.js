@@ -0,0 +1,36 @@
+/**
+ * Multiplier contract maths shared by the simulator and the backtester.
+ */
+
+export function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Commission Deriv charges up front on a multiplier contract, as a fraction of `stake * multiplier`.
+ */
+export function calculateMultiplierCommission(stake, multiplier, commissionRate) {
+  return roundMoney(stake * multiplier * commissionRate);
+}
+
+/**
+ * Profit of a MULTUP / MULTDOWN contract at `spot`: stake * multiplier * relative move,
+ * net of commission. A multiplier contract can never lose more than its stake.
+ */
+export function calculateMultiplierProfit({ contractType, stake, multiplier, commission, entrySpot, spot }) {
+  const direction = contractType === "MULTUP" ? 1 : -1;
+  const move = (spot - entrySpot) / entrySpot;
+  const grossProfit = stake * multiplier * move * direction;
+  return roundMoney(Math.max(grossProfit - commission, -stake));
+}
+
+/**
+ * Why an open contract closes at its current profit, or null while it stays open.
+ * Mirrors Deriv's limit orders: take-profit, stop-loss, then stop-out at zero value.
+ */
+export function getMultiplierExit(profit, stake, { take_profit, stop_loss } = {}) {
+  if (take_profit != null && profit >= take_profit) return "won";
+  if (stop_loss != null && profit <= -stop_loss) return "lost";
+  if (stake + profit <= 0) return "lost";
+  return null;
+}
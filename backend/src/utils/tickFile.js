@@ -0,0 +1,36 @@
+import fs from "fs";
+
+/**
+ * Loads recorded ticks. Accepts a JSON array of quotes or of `{ epoch, quote }` ticks,
+ * or a text file with one `quote` or `epoch,quote` per line. Ticks without an epoch
+ * get `epoch: null`.
+ */
+export function loadTicks(file) {
+  const raw = fs.readFileSync(file, "utf8");
+
+  if (file.endsWith(".json")) {
+    return JSON.parse(raw).map((tick) => (typeof tick === "number"
+      ? { epoch: null, quote: tick }
+      : { epoch: tick.epoch ?? null, quote: tick.quote }));
+  }
+
+  return raw
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const fields = line.split(",");
+      return {
+        epoch: fields.length > 1 ? parseInt(fields[0], 10) : null,
+        quote: parseFloat(fields[fields.length - 1]),
+      };
+    })
+    .filter((tick) => !Number.isNaN(tick.quote));
+}
+
+/**
+ * Writes `{ epoch, quote }` ticks as a JSON array that `loadTicks` reads back.
+ */
+export function saveTicks(file, ticks) {
+  fs.writeFileSync(file, JSON.stringify(ticks.map(({ epoch, quote }) => ({ epoch, quote }))));
+}
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import Backtester from "../src/backtest/Backtester.js";
+import BaseStrategy from "../src/strategies/BaseStrategy.js";
+import { registerStrategy } from "../src/strategies/index.js";
+
+// Signals to fire, by tick epoch
+let script = {};
+
+class ScriptedStrategy extends BaseStrategy {
+  onTick(tick) {
+    return script[tick.epoch] ?? null;
+  }
+}
+registerStrategy("test-scripted", ScriptedStrategy);
+
+const UP = { contractType: "MULTUP", direction: "up" };
+const DOWN = { contractType: "MULTDOWN", direction: "down" };
+const ticks = (...quotes) => quotes.map((quote, index) => ({ epoch: 1000 + index, quote }));
+
+// Default settings: $10 fixed stake, 400x, take profit 0.5 and stop loss 0.3 of the stake
+const backtest = (tickList, options = {}) =>
+  new Backtester({ symbol: "R_TEST", strategy: "test-scripted", ...options }).run(tickList);
+
+describe("Backtester", () => {
+  beforeEach(() => {
+    script = {};
+  });
+
+  it("enters on the tick after the signal and settles at the take profit", async () => {
+    script = { 1001: UP };
+    const { trades, summary, equityCurve } = await backtest(ticks(100, 100, 100, 100.2, 100.4));
+
+    assert.equal(trades.length, 1);
+    const [trade] = trades;
+    assert.equal(trade.entry_time.getTime(), 1002 * 1000);
+    assert.equal(trade.entry_price, 10);
+    assert.equal(trade.status, "CLOSED");
+    assert.equal(trade.profit, 8); // 10 * 400 * 0.2%
+    assert.equal(trade.exit_price, 18);
+    assert.equal(trade.account_balance, 10008);
+
+    assert.equal(summary.trades, 1);
+    assert.equal(summary.wins, 1);
+    assert.equal(summary.netProfit, 8);
+    assert.equal(summary.finalBalance, 10008);
+    assert.deepEqual(equityCurve.map(({ balance }) => balance), [10000, 10008]);
+  });
+
+  it("settles at the stop loss, net of commission", async () => {
+    script = { 1000: DOWN };
+    const { trades, summary } = await backtest(ticks(100, 100, 100.05, 100.1), { commissionRate: 0.0005 });
+
+    // Commission 10 * 400 * 0.0005 = $2: -2 at entry, -4 after a 0.05% rise, past the $3 stop
+    assert.equal(trades[0].profit, -4);
+    assert.equal(trades[0].exit_time.getTime(), 1002 * 1000);
+    assert.equal(summary.losses, 1);
+    assert.equal(summary.finalBalance, 9996);
+    assert.equal(summary.maxDrawdown, 4);
+  });
+
+  it("takes one position at a time and reports trades still open at the end", async () => {
+    script = { 1000: UP, 1002: DOWN };
+    const { trades, summary } = await backtest(ticks(100, 100, 100, 100));
+
+    assert.equal(trades.length, 1);
+    assert.equal(summary.trades, 0);
+    assert.equal(summary.openAtEnd, 1);
+    assert.equal(summary.finalBalance, 10000);
+  });
+
+  it("skips signals the sizing cannot fund", async () => {
+    script = { 1000: UP };
+    const { trades, summary } = await backtest(ticks(100, 100, 100), { initialBalance: 0.5 });
+
+    assert.equal(trades.length, 0);
+    assert.equal(summary.skippedSignals, 1);
+  });
+});
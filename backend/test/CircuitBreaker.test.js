@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import CircuitBreaker from "../src/core/CircuitBreaker.js";
+import EventBus, { BotEvents } from "../src/core/EventBus.js";
+import config from "../src/config.js";
+
+const SETTINGS = [
+  "COOLDOWN_AFTER_TRADE_S",
+  "COOLDOWN_AFTER_LOSS_S",
+  "CIRCUIT_BREAKER_MAX_LOSSES",
+  "CIRCUIT_BREAKER_MAX_DRAWDOWN",
+  "CIRCUIT_BREAKER_WINDOW_S",
+  "CIRCUIT_BREAKER_RESET_S",
+];
+
+describe("CircuitBreaker", () => {
+  let saved;
+  let alerts;
+  let changes;
+  let breaker;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(SETTINGS.map((key) => [key, config[key]]));
+    Object.assign(config, {
+      COOLDOWN_AFTER_TRADE_S: 0,
+      COOLDOWN_AFTER_LOSS_S: 0,
+      CIRCUIT_BREAKER_MAX_LOSSES: 0,
+      CIRCUIT_BREAKER_MAX_DRAWDOWN: 0,
+      CIRCUIT_BREAKER_WINDOW_S: 3600,
+      CIRCUIT_BREAKER_RESET_S: 0,
+    });
+    mock.method(console, "log", () => { });
+    mock.method(console, "warn", () => { });
+
+    const events = new EventBus();
+    alerts = [];
+    changes = 0;
+    events.on(BotEvents.ALERT, (alert) => alerts.push(alert));
+    breaker = new CircuitBreaker(events, { onChange: () => changes++ });
+  });
+
+  afterEach(() => {
+    breaker.dispose();
+    mock.restoreAll();
+    mock.timers.reset();
+    Object.assign(config, saved);
+  });
+
+  describe("cooldowns", () => {
+    it("block only the symbol that traded, until they run out", () => {
+      config.COOLDOWN_AFTER_TRADE_S = 30;
+      breaker.recordResult("R_100", 5, 0);
+
+      assert.equal(breaker.getEntryBlock("R_100", 1000), "R_100 cooling down 29s after a trade");
+      assert.equal(breaker.getEntryBlock("R_50", 1000), null);
+      assert.equal(breaker.getEntryBlock("R_100", 30000), null);
+      assert.equal(breaker.getCooldown("R_100", 30000), null);
+    });
+
+    it("use the longer loss cooldown after a loss", () => {
+      Object.assign(config, { COOLDOWN_AFTER_TRADE_S: 30, COOLDOWN_AFTER_LOSS_S: 120 });
+      breaker.recordResult("R_100", -5, 0);
+      assert.deepEqual(breaker.getCooldown("R_100", 0), { until: 120000, reason: "loss" });
+
+      breaker.recordResult("R_100", 5, 0);
+      assert.deepEqual(breaker.getCooldown("R_100", 0), { until: 30000, reason: "trade" });
+    });
+
+    it("are off by default", () => {
+      breaker.recordResult("R_100", -5, 0);
+      assert.equal(breaker.getEntryBlock("R_100", 0), null);
+    });
+  });
+
+  describe("breaker", () => {
+    it("trips after the maximum consecutive losses, which a win resets", () => {
+      config.CIRCUIT_BREAKER_MAX_LOSSES = 3;
+      [-1, -1, 2, -1, -1].forEach((profit, index) => breaker.recordResult("R_100", profit, index));
+      assert.equal(breaker.isTripped, false);
+
+      breaker.recordResult("R_50", -1, 5);
+      assert.equal(breaker.isTripped, true);
+      assert.equal(breaker.getEntryBlock("R_10", 5), "Circuit breaker tripped: 3 consecutive loss(es)");
+      assert.deepEqual(alerts, [{ level: "warning", code: "CIRCUIT_BREAKER", message: "Trading halted. Circuit breaker tripped: 3 consecutive loss(es)" }]);
+      assert.equal(changes, 1);
+    });
+
+    it("trips on the realised drawdown within the window", () => {
+      config.CIRCUIT_BREAKER_MAX_DRAWDOWN = 10;
+      // Peak +8, then down to -1: a $9 drawdown
+      [5, 3, -6, -3].forEach((profit, index) => breaker.recordResult("R_100", profit, index * 1000));
+      assert.equal(breaker.isTripped, false);
+
+      breaker.recordResult("R_100", -1, 4000);
+      assert.equal(breaker.trip.reason, "Circuit breaker tripped: $10.00 drawdown within 60 min (limit $10.00)");
+    });
+
+    it("forgets losses that left the drawdown window", () => {
+      Object.assign(config, { CIRCUIT_BREAKER_MAX_DRAWDOWN: 10, CIRCUIT_BREAKER_WINDOW_S: 60 });
+      breaker.recordResult("R_100", -8, 0);
+      breaker.recordResult("R_100", -8, 61000);
+      assert.equal(breaker.isTripped, false);
+
+      breaker.recordResult("R_100", -2, 62000);
+      assert.equal(breaker.isTripped, true);
+    });
+
+    it("re-arms from the dashboard with fresh counters", () => {
+      config.CIRCUIT_BREAKER_MAX_LOSSES = 2;
+      breaker.recordResult("R_100", -1, 0);
+      breaker.recordResult("R_100", -1, 1);
+
+      assert.equal(breaker.rearm(), true);
+      assert.equal(breaker.isTripped, false);
+      assert.equal(breaker.rearm(), false);
+      assert.equal(changes, 2);
+
+      breaker.recordResult("R_100", -1, 2);
+      assert.equal(breaker.isTripped, false);
+    });
+
+    it("re-arms on a timer with CIRCUIT_BREAKER_RESET_S", () => {
+      mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 });
+      Object.assign(config, { CIRCUIT_BREAKER_MAX_LOSSES: 1, CIRCUIT_BREAKER_RESET_S: 300 });
+      breaker.recordResult("R_100", -1, 0);
+      assert.equal(breaker.trip.until, new Date(300000).toISOString());
+
+      mock.timers.tick(299999);
+      assert.equal(breaker.isTripped, true);
+      mock.timers.tick(1);
+      assert.equal(breaker.isTripped, false);
+    });
+  });
+});
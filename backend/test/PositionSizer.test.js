@@ -0,0 +1,110 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import PositionSizer from "../src/sizing/PositionSizer.js";
+import config from "../src/config.js";
+
+const LIMITS = ["MIN_STAKE", "MAX_STAKE", "MAX_RISK_PER_TRADE"];
+
+const sizer = (settings = {}) => new PositionSizer({
+  STAKE_AMOUNT: 10,
+  STOP_LOSS_MULTIPLIER: 0.5,
+  SIZING_MODE: "fixed",
+  SIZING_PARAMS: {},
+  ...settings,
+});
+
+describe("PositionSizer", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(LIMITS.map((key) => [key, config[key]]));
+    Object.assign(config, { MIN_STAKE: 1, MAX_STAKE: 0, MAX_RISK_PER_TRADE: 0 });
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+  });
+
+  it("keeps the mode's stake when no limit applies", () => {
+    const decision = sizer().size(1000);
+    assert.equal(decision.mode, "fixed");
+    assert.equal(decision.stake, 10);
+    assert.equal(decision.proposedStake, 10);
+    assert.equal(decision.risk, 5);
+    assert.deepEqual(decision.limits, []);
+    assert.equal(decision.rejected, null);
+  });
+
+  it("lifts a stake below MIN_STAKE", () => {
+    const decision = sizer({ STAKE_AMOUNT: 0.5 }).size(1000);
+    assert.equal(decision.stake, 1);
+    assert.equal(decision.proposedStake, 0.5);
+    assert.deepEqual(decision.limits, ["min stake $1"]);
+  });
+
+  it("caps the stake at MAX_STAKE", () => {
+    config.MAX_STAKE = 5;
+    const decision = sizer().size(1000);
+    assert.equal(decision.stake, 5);
+    assert.deepEqual(decision.limits, ["max stake $5"]);
+  });
+
+  it("caps the stake so the stop loss costs at most MAX_RISK_PER_TRADE of the balance", () => {
+    config.MAX_RISK_PER_TRADE = 0.01;
+    const decision = sizer({ STAKE_AMOUNT: 50 }).size(1000);
+    assert.equal(decision.stake, 20);
+    assert.equal(decision.risk, 10);
+    assert.deepEqual(decision.limits, ["max risk 1.00% of balance"]);
+  });
+
+  it("counts the whole stake as risk without a stop loss", () => {
+    config.MAX_RISK_PER_TRADE = 0.01;
+    const decision = sizer({ STAKE_AMOUNT: 50, STOP_LOSS_MULTIPLIER: 0 }).size(1000);
+    assert.equal(decision.stake, 10);
+    assert.equal(decision.risk, 10);
+  });
+
+  it("applies the tightest cap last and rounds down to whole cents", () => {
+    Object.assign(config, { MAX_STAKE: 30, MAX_RISK_PER_TRADE: 0.01 });
+    const decision = sizer({ STAKE_AMOUNT: 50 }).size(1234.567);
+    assert.equal(decision.stake, 24.69);
+    assert.deepEqual(decision.limits, ["max stake $30", "max risk 1.00% of balance"]);
+  });
+
+  it("rejects the trade when the balance cannot cover MIN_STAKE", () => {
+    config.MIN_STAKE = 5;
+    const decision = sizer({ STAKE_AMOUNT: 1 }).size(3);
+    assert.equal(decision.stake, null);
+    assert.deepEqual(decision.limits, ["min stake $5", "available balance"]);
+    assert.equal(decision.rejected, "available balance allows less than the $5 minimum stake");
+  });
+
+  it("blames the sizing mode when rounding to cents drops the stake below MIN_STAKE", () => {
+    config.MIN_STAKE = 1.005;
+    const decision = sizer({ STAKE_AMOUNT: 1.006 }).size(1000);
+    assert.equal(decision.stake, null);
+    assert.equal(decision.rejected, "fixed sizing allows less than the $1.005 minimum stake");
+  });
+
+  it("sizes fixed-fractional stakes from the balance and stop loss", () => {
+    const decision = sizer({ SIZING_MODE: "fixed-fractional", SIZING_PARAMS: { riskFraction: 0.02 } }).size(1000);
+    assert.equal(decision.stake, 40);
+    assert.equal(decision.risk, 20);
+    assert.equal(decision.reason, "2.00% of $1000.00 at risk");
+  });
+
+  it("doubles martingale stakes after losses up to maxSteps and resets after a win", () => {
+    const martingale = sizer({ SIZING_MODE: "martingale", SIZING_PARAMS: { factor: 2, maxSteps: 2 } });
+    const stakes = [-1, -1, -1, 2].map((profit) => {
+      const { stake } = martingale.size(1000);
+      martingale.onTradeClosed({ profit });
+      return stake;
+    });
+    stakes.push(martingale.size(1000).stake);
+    assert.deepEqual(stakes, [10, 20, 40, 40, 10]);
+  });
+
+  it("rejects an unknown sizing mode", () => {
+    assert.throws(() => sizer({ SIZING_MODE: "all-in" }), /Unknown sizing mode 'all-in'/);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import RingBuffer from "../src/utils/RingBuffer.js";
+import { RollingStats } from "../src/utils/indicators.js";
+import { calculateSD, calculateSMA } from "../src/utils/math.js";
+
+describe("RingBuffer", () => {
+  it("keeps the last capacity values, oldest first, and returns the evicted one", () => {
+    const buffer = new RingBuffer(3);
+    assert.equal(buffer.push(1), undefined);
+    assert.equal(buffer.push(2), undefined);
+    assert.equal(buffer.isFull, false);
+    assert.equal(buffer.push(3), undefined);
+    assert.equal(buffer.isFull, true);
+
+    assert.equal(buffer.push(4), 1);
+    assert.equal(buffer.push(5), 2);
+    assert.deepEqual(buffer.toArray(), [3, 4, 5]);
+    assert.equal(buffer.get(0), 3);
+    assert.equal(buffer.get(2), 5);
+  });
+
+  it("empties on clear", () => {
+    const buffer = new RingBuffer(2);
+    [1, 2, 3].forEach((value) => buffer.push(value));
+    buffer.clear();
+    assert.equal(buffer.length, 0);
+    assert.deepEqual(buffer.toArray(), []);
+    assert.equal(buffer.push(7), undefined);
+    assert.deepEqual(buffer.toArray(), [7]);
+  });
+});
+
+describe("RollingStats", () => {
+  const period = 20;
+  // Deterministic noisy prices at a large offset, where naive running sums lose precision
+  const prices = Array.from({ length: 2000 }, (_, index) => 50000 + Math.sin(index * 0.7) * 3 + ((index * 7919) % 13) / 10);
+
+  it("matches calculateSMA and calculateSD over the window", () => {
+    const stats = new RollingStats(period);
+
+    prices.forEach((price, index) => {
+      stats.update(price);
+      const window = prices.slice(Math.max(0, index + 1 - period), index + 1);
+      const sma = calculateSMA(window);
+      const sd = calculateSD(window, sma);
+
+      assert.equal(stats.count, window.length);
+      assert.ok(Math.abs(stats.mean - sma) <= 1e-9 * sma, `mean at ${index}`);
+      assert.ok(Math.abs(stats.sd - sd) <= 1e-6 * sd, `sd at ${index}: ${stats.sd} != ${sd}`);
+    });
+  });
+
+  it("is exact right after each re-anchor", () => {
+    const stats = new RollingStats(period);
+
+    prices.forEach((price, index) => {
+      stats.update(price);
+      if ((index + 1) % period !== 0) return;
+
+      const window = prices.slice(index + 1 - period, index + 1);
+      const sma = calculateSMA(window);
+      assert.equal(stats.mean, sma);
+      assert.equal(stats.sd, calculateSD(window, sma));
+    });
+  });
+
+  it("settles to a near-zero, non-negative variance for a flat window", () => {
+    const stats = new RollingStats(5);
+    [1.1, 2.2, 3.3, 0.7, 0.7, 0.7, 0.7, 0.7, 0.7].forEach((price) => stats.update(price));
+    assert.ok(stats.variance >= 0);
+    assert.ok(stats.sd < 1e-6);
+  });
+
+  it("starts over after reset", () => {
+    const stats = new RollingStats(3);
+    [5, 6, 7, 8].forEach((price) => stats.update(price));
+    stats.reset();
+    stats.update(2);
+    stats.update(4);
+    assert.equal(stats.count, 2);
+    assert.equal(stats.mean, 3);
+    assert.equal(stats.sd, 1);
+  });
+});
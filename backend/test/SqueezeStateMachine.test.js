@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import SqueezeStateMachine, { SqueezeState } from "../src/strategies/SqueezeStateMachine.js";
+
+const { IDLE, SQUEEZE, ARMED, EXPIRED } = SqueezeState;
+
+// Feeds bandwidths one per epoch and returns the state after each, plus the transitions reported
+const run = (options, bandwidths) => {
+  const transitions = [];
+  const machine = new SqueezeStateMachine(options, (transition) => transitions.push(transition));
+  const states = bandwidths.map((bandwidth, epoch) => {
+    machine.update(bandwidth, epoch);
+    return machine.state;
+  });
+  return { machine, states, transitions };
+};
+
+describe("SqueezeStateMachine", () => {
+  const options = { armThreshold: 0.5, disarmThreshold: 0.3, minTicks: 3, armExpiryTicks: 2 };
+
+  it("arms after minTicks in squeeze, expires after armExpiryTicks and resets below the disarm threshold", () => {
+    const { states, transitions } = run(options, [0.4, 0.6, 0.4, 0.6, 0.6, 0.6, 0.4, 0.2]);
+
+    assert.deepEqual(states, [IDLE, SQUEEZE, SQUEEZE, ARMED, ARMED, EXPIRED, EXPIRED, IDLE]);
+    assert.deepEqual(transitions.map(({ from, to }) => `${from}>${to}`), [
+      "IDLE>SQUEEZE",
+      "SQUEEZE>ARMED",
+      "ARMED>EXPIRED",
+      "EXPIRED>IDLE",
+    ]);
+    assert.deepEqual(transitions[1], { from: SQUEEZE, to: ARMED, reason: "3 tick(s) in squeeze", bandwidth: 0.6, epoch: 3 });
+  });
+
+  it("ignores bandwidth between the thresholds while idle", () => {
+    const { states, transitions } = run(options, [0.4, 0.5, 0.35]);
+    assert.deepEqual(states, [IDLE, IDLE, IDLE]);
+    assert.equal(transitions.length, 0);
+  });
+
+  it("drops back to idle when the squeeze ends before arming", () => {
+    const { states } = run(options, [0.6, 0.6, 0.25, 0.6]);
+    assert.deepEqual(states, [SQUEEZE, SQUEEZE, IDLE, SQUEEZE]);
+  });
+
+  it("arms on the first tick with minTicks 1 and never expires with armExpiryTicks 0", () => {
+    const { machine, states } = run({ armThreshold: 0.5 }, [0.6, 0.5, 0.5, 0.5, 0.5]);
+    assert.deepEqual(states, [ARMED, ARMED, ARMED, ARMED, ARMED]);
+    assert.equal(machine.isArmed, true);
+  });
+
+  it("disarms to idle on request, reporting the reason once", () => {
+    const { machine, transitions } = run({ armThreshold: 0.5 }, [0.6]);
+    machine.disarm("trade opened");
+    machine.disarm("trade opened");
+
+    assert.equal(machine.state, IDLE);
+    assert.deepEqual(transitions.at(-1), { from: ARMED, to: IDLE, reason: "trade opened", bandwidth: null, epoch: null });
+    assert.equal(transitions.length, 3); // IDLE>SQUEEZE>ARMED on the first tick, then one disarm
+  });
+
+  it("rejects a disarm threshold above the arm threshold", () => {
+    assert.throws(() => new SqueezeStateMachine({ armThreshold: 0.3, disarmThreshold: 0.5 }), /must not exceed/);
+  });
+});
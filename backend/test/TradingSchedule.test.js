@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import TradingSchedule from "../src/core/TradingSchedule.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const stateAt = (schedule, iso) => schedule.getState(new Date(iso));
+
+// Checks nextChange against a minute-by-minute walk from every half hour of `days` days
+const assertNextChangeByScan = (schedule, fromIso, days) => {
+  const from = Date.parse(fromIso);
+  for (let now = from; now < from + days * DAY; now += 30 * MINUTE) {
+    const { open, nextChange } = schedule.getState(new Date(now));
+    const changeAt = Date.parse(nextChange);
+    for (let time = now + MINUTE; time < Math.min(changeAt, now + DAY); time += MINUTE) {
+      assert.equal(schedule.isOpen(new Date(time)), open, `${new Date(now).toISOString()}: flips at ${new Date(time).toISOString()}, not ${nextChange}`);
+    }
+    if (changeAt - now <= DAY) {
+      assert.equal(schedule.isOpen(new Date(changeAt)), !open, `${new Date(now).toISOString()}: no flip at ${nextChange}`);
+    }
+  }
+};
+
+describe("TradingSchedule", () => {
+  const weekdays = new TradingSchedule({
+    days: "mon-fri",
+    hours: "08:00-12:00,22:00-02:00",
+    timezone: "Europe/London",
+    blackouts: "2026-12-25",
+  });
+
+  it("is always open without a schedule", () => {
+    assert.deepEqual(stateAt(new TradingSchedule(), "2026-10-18T03:00:00Z"), {
+      enabled: false,
+      open: true,
+      reason: null,
+      nextChange: null,
+      timezone: "UTC",
+    });
+  });
+
+  it("reads the hours in the schedule's timezone, on both sides of a DST change", () => {
+    // BST (UTC+1) until 2026-10-25, GMT after
+    assert.deepEqual(stateAt(weekdays, "2026-10-19T07:59:30Z"), {
+      enabled: true,
+      open: true,
+      reason: null,
+      nextChange: "2026-10-19T11:00:00.000Z",
+      timezone: "Europe/London",
+    });
+    assert.equal(stateAt(weekdays, "2026-10-19T12:00:00Z").reason, "Outside trading hours");
+    assert.equal(stateAt(weekdays, "2026-10-19T12:00:00Z").nextChange, "2026-10-19T21:00:00.000Z");
+    assert.equal(stateAt(weekdays, "2026-10-26T07:59:00Z").open, false);
+    assert.equal(stateAt(weekdays, "2026-10-26T08:00:00Z").nextChange, "2026-10-26T12:00:00.000Z");
+  });
+
+  it("counts a range past midnight as part of the day it starts on", () => {
+    // Friday night runs into Saturday; Sunday night does not open
+    assert.equal(stateAt(weekdays, "2026-10-23T23:30:00Z").nextChange, "2026-10-24T01:00:00.000Z");
+    assert.equal(weekdays.isOpen(new Date("2026-10-24T00:30:00Z")), true);
+    assert.equal(weekdays.isOpen(new Date("2026-10-25T23:00:00Z")), false);
+    assert.equal(weekdays.isOpen(new Date("2026-10-26T00:30:00Z")), false);
+    assert.equal(stateAt(weekdays, "2026-10-24T01:30:00Z").nextChange, "2026-10-26T08:00:00.000Z");
+  });
+
+  it("closes for a whole local blackout date", () => {
+    assert.equal(stateAt(weekdays, "2026-12-24T23:00:00Z").nextChange, "2026-12-25T00:00:00.000Z");
+    assert.deepEqual(stateAt(weekdays, "2026-12-25T09:00:00Z"), {
+      enabled: true,
+      open: false,
+      reason: "Blackout date 2026-12-25",
+      nextChange: "2026-12-26T00:00:00.000Z",
+      timezone: "Europe/London",
+    });
+    assert.equal(stateAt(new TradingSchedule({ blackouts: "2030-01-01" }), "2026-10-19T00:00:00Z").nextChange, null);
+  });
+
+  it("opens a range that starts in the hour skipped by DST at the jump", () => {
+    // 2027-03-28: London clocks go from 01:00 GMT to 02:00 BST
+    const schedule = new TradingSchedule({ days: "sun", hours: "01:30-03:00", timezone: "Europe/London" });
+    assert.equal(stateAt(schedule, "2027-03-28T00:00:00Z").nextChange, "2027-03-28T01:00:00.000Z");
+    assert.equal(stateAt(schedule, "2027-03-28T01:10:00Z").nextChange, "2027-03-28T02:00:00.000Z");
+  });
+
+  it("opens a range in the hour repeated by DST both times", () => {
+    // 2026-10-25: Berlin clocks go back from 03:00 CEST to 02:00 CET
+    const schedule = new TradingSchedule({ days: "sun", hours: "02:15-03:00", timezone: "Europe/Berlin" });
+    assert.equal(stateAt(schedule, "2026-10-24T23:00:00Z").nextChange, "2026-10-25T00:15:00.000Z");
+    assert.equal(stateAt(schedule, "2026-10-25T00:30:00Z").nextChange, "2026-10-25T01:00:00.000Z");
+    assert.equal(stateAt(schedule, "2026-10-25T01:00:00Z").nextChange, "2026-10-25T01:15:00.000Z");
+    assert.equal(stateAt(schedule, "2026-10-25T01:20:00Z").nextChange, "2026-10-25T02:00:00.000Z");
+  });
+
+  it("reports the first flip as nextChange around DST changes", () => {
+    assertNextChangeByScan(weekdays, "2026-10-23T12:00:00Z", 3);
+    assertNextChangeByScan(new TradingSchedule({ hours: "00:30-01:45,02:30-03:15", timezone: "America/New_York" }), "2027-03-13T12:00:00Z", 2);
+    assertNextChangeByScan(new TradingSchedule({ hours: "23:00-02:30", timezone: "Europe/Berlin" }), "2026-10-24T12:00:00Z", 2);
+  });
+
+  it("rejects invalid settings", () => {
+    assert.throws(() => new TradingSchedule({ days: "mon-fry" }), /Invalid trading day "mon-fry"/);
+    assert.throws(() => new TradingSchedule({ hours: "08:00-08:00" }), /Invalid trading hours "08:00-08:00"/);
+    assert.throws(() => new TradingSchedule({ hours: "8-17" }), /Invalid trading hours "8-17"/);
+    assert.throws(() => new TradingSchedule({ blackouts: "25/12/2026" }), /Invalid blackout date "25\/12\/2026"/);
+    assert.throws(() => new TradingSchedule({ timezone: "Mars/Olympus" }), /Unknown trading timezone "Mars\/Olympus"/);
+  });
+});
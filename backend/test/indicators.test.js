@@ -0,0 +1,135 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculateATR,
+  calculateBollingerBands,
+  calculateEMA,
+  calculateKeltnerChannels,
+  calculateRSI,
+  calculateSqueeze,
+} from "../src/utils/math.js";
+import {
+  ATRStream,
+  BollingerBandsStream,
+  EMAStream,
+  KeltnerChannelsStream,
+  RSIStream,
+  SqueezeStream,
+} from "../src/utils/indicators.js";
+
+// Deterministic random walk around 1000
+const randomWalk = (length, seed = 42) => {
+  let state = seed;
+  let price = 1000;
+  return Array.from({ length }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    price += (state / 2147483648 - 0.5) * 2;
+    return price;
+  });
+};
+
+const candles = (quotes) => quotes.slice(1).map((close, index) => ({
+  high: Math.max(close, quotes[index]) + 0.3,
+  low: Math.min(close, quotes[index]) - 0.3,
+  close,
+}));
+
+const assertClose = (actual, expected, message) => {
+  if (expected === null || typeof expected !== "object") {
+    if (expected == null || actual == null || typeof expected !== "number") {
+      assert.equal(actual, expected, message);
+    } else {
+      assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${message}: ${actual} != ${expected}`);
+    }
+    return;
+  }
+  assert.ok(actual, message);
+  for (const key of Object.keys(expected)) assertClose(actual[key], expected[key], `${message}.${key}`);
+};
+
+// Feeds the series to the stream and checks every output against the batch form over the history so far
+const assertStreamMatchesBatch = (stream, batch, inputs) => {
+  inputs.forEach((input, index) => {
+    assertClose(stream.update(input), batch(inputs.slice(0, index + 1)), `input ${index}`);
+  });
+};
+
+describe("batch indicators", () => {
+  it("computes Bollinger Bands over the last period prices", () => {
+    const bands = calculateBollingerBands([100, 1, 2, 3, 4, 5], { period: 5, deviation: 2 });
+    assert.equal(bands.sma, 3);
+    assert.equal(bands.sd, Math.sqrt(2));
+    assert.equal(bands.upper, 3 + 2 * Math.sqrt(2));
+    assertClose(bands.bandwidth, (4 * Math.sqrt(2)) / 3, "bandwidth");
+    assert.equal(calculateBollingerBands([1, 2, 3], { period: 5 }), null);
+  });
+
+  it("seeds the EMA with the SMA of the first period prices", () => {
+    assert.equal(calculateEMA([1, 2], 3), null);
+    assert.equal(calculateEMA([1, 2, 3], 3), 2);
+    assert.equal(calculateEMA([1, 2, 3, 6], 3), 4);
+  });
+
+  it("needs period + 1 prices for the RSI and bounds it at 0, 50 and 100", () => {
+    assert.equal(calculateRSI([1, 2, 3], 3), null);
+    assert.equal(calculateRSI([1, 2, 3, 4], 3), 100);
+    assert.equal(calculateRSI([4, 3, 2, 1], 3), 0);
+    assert.equal(calculateRSI([1, 1, 1, 1], 3), 50);
+    assert.equal(calculateRSI([1, 2, 1, 2], 3), 100 - 100 / 3);
+  });
+
+  it("treats tick quotes as candles for the ATR", () => {
+    assert.equal(calculateATR([1, 2, 4], 2), 1.5);
+    assert.equal(calculateATR([{ high: 2, low: 1, close: 1.5 }, { high: 3, low: 2.5, close: 2.8 }], 1), 1.5);
+  });
+
+  it("flags a squeeze while the Bollinger Bands sit inside the Keltner Channels", () => {
+    const quiet = Array.from({ length: 30 }, (_, index) => ({ high: 101, low: 99, close: 100 + (index % 2) * 0.01 }));
+    assert.equal(calculateSqueeze(quiet).isSqueezed, true);
+
+    const trending = Array.from({ length: 30 }, (_, index) => 100 + index);
+    assert.equal(calculateSqueeze(trending).isSqueezed, false);
+    assert.equal(calculateSqueeze(trending.slice(0, 20)), null);
+  });
+});
+
+describe("streaming indicators agree with the batch form", () => {
+  const quotes = randomWalk(300);
+  const ohlc = candles(quotes);
+
+  it("Bollinger Bands", () => {
+    const options = { period: 20, deviation: 2 };
+    assertStreamMatchesBatch(new BollingerBandsStream(options), (prices) => calculateBollingerBands(prices, options), quotes);
+  });
+
+  it("EMA", () => {
+    assertStreamMatchesBatch(new EMAStream({ period: 10 }), (prices) => calculateEMA(prices, 10), quotes);
+  });
+
+  it("RSI", () => {
+    assertStreamMatchesBatch(new RSIStream({ period: 14 }), (prices) => calculateRSI(prices, 14), quotes);
+  });
+
+  it("ATR over ticks and candles", () => {
+    assertStreamMatchesBatch(new ATRStream({ period: 14 }), (inputs) => calculateATR(inputs, 14), quotes);
+    assertStreamMatchesBatch(new ATRStream({ period: 14 }), (inputs) => calculateATR(inputs, 14), ohlc);
+  });
+
+  it("Keltner Channels", () => {
+    const options = { period: 20, multiplier: 1.5, atrPeriod: 10 };
+    assertStreamMatchesBatch(new KeltnerChannelsStream(options), (inputs) => calculateKeltnerChannels(inputs, options), ohlc);
+  });
+
+  it("squeeze", () => {
+    const options = { bbPeriod: 20, kcPeriod: 20, kcMultiplier: 1.5 };
+    assertStreamMatchesBatch(new SqueezeStream(options), (inputs) => calculateSqueeze(inputs, options), ohlc);
+  });
+
+  it("starts over after reset", () => {
+    const stream = new RSIStream({ period: 14 });
+    quotes.forEach((price) => stream.update(price));
+    stream.reset();
+    assert.equal(stream.value, null);
+    assertStreamMatchesBatch(stream, (prices) => calculateRSI(prices, 14), quotes.slice(100, 150));
+  });
+});
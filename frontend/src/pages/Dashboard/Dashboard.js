@@ -1,5 +1,5 @@
 import React, { useEffect, useState, useCallback, useMemo } from 'react';
-import { Box, Stack, Typography, Card, CardContent, Button, Dialog, DialogTitle, DialogContent, DialogActions } from '@mui/material';
+import { Box, Stack, Typography, Card, CardContent, Button, Dialog, DialogTitle, DialogContent, DialogActions, Snackbar, Alert, Chip } from '@mui/material';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import PauseIcon from '@mui/icons-material/Pause';
 import WifiOffIcon from '@mui/icons-material/WifiOff';
@@ -7,14 +7,22 @@ import { useWebSocket } from '../../services/websocket';
 import { tradesAPI } from '../../services/api';
 import BalanceChart from './components/BalanceChart';
 import TradeList from './components/TradeList';
+import SymbolStatusList from './components/SymbolStatusList';
+import OpenPositionList from './components/OpenPositionList';
 
 const Dashboard = () => {
-  const { isConnected, connectionError, lastMessage, sendMessage, reconnect } = useWebSocket();
-  
   const [botStatus, setBotStatus] = useState('STOPPED');
+  const [halt, setHalt] = useState(null); // { code, reason, until, rearmable } while a risk limit blocks new entries
+  const [schedule, setSchedule] = useState(null); // { enabled, open, reason, nextChange, timezone }
+  const [tradingMode, setTradingMode] = useState('live');
   const [accountBalance, setAccountBalance] = useState(null);
   const [balanceHistory, setBalanceHistory] = useState([]);
   const [trades, setTrades] = useState([]);
+  const [derivConnection, setDerivConnection] = useState({ state: 'DISCONNECTED' });
+  const [notice, setNotice] = useState(null); // { severity, message } shown in the snackbar
+  const [symbolStatuses, setSymbolStatuses] = useState({}); // symbol -> latest SYMBOL_STATUS
+  const [openPositions, setOpenPositions] = useState([]);
+  const [strategyChanges, setStrategyChanges] = useState({}); // symbol -> latest STRATEGY_STATE (debug stream)
 
   // Load today's trades from database
   const loadTodaysTrades = useCallback(async () => {
@@ -28,12 +36,14 @@ const Dashboard = () => {
         action: t.trigger_reason === 'MULTUP' ? 'BUY' : 'SELL',
         status: t.status,
         profit: t.profit,
+        simulated: t.simulated,
         time: new Date(t.entry_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }),
       })).reverse();
       setTrades(uiTrades);
 
-      // Build balance history from closed trades (they have account_balance stored)
-      const closedTrades = dbTrades.filter(t => t.status === 'CLOSED' && t.account_balance != null);
+      // Build balance history from closed real trades (they have account_balance stored);
+      // paper trades carry a virtual balance that must not mix with the account's
+      const closedTrades = dbTrades.filter(t => t.status === 'CLOSED' && t.account_balance != null && !t.simulated);
       const history = closedTrades.map(t => ({
         time: new Date(t.exit_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }),
         balance: t.account_balance,
@@ -62,48 +72,94 @@ const Dashboard = () => {
     return () => document.removeEventListener('visibilitychange', handleVisibility);
   }, [loadTodaysTrades]);
 
-  // Process incoming messages
-  useEffect(() => {
-    if (!lastMessage) return;
-
-    switch (lastMessage.type) {
+  // Process incoming messages, every one of them (only stable state setters are used)
+  const handleMessage = useCallback((message) => {
+    switch (message.type) {
       case 'BOT_STATUS':
-        setBotStatus(lastMessage.status);
+        setBotStatus(message.status);
+        setHalt(message.status === 'HALTED'
+          ? { code: message.code, reason: message.reason, until: message.until, rearmable: message.rearmable }
+          : null);
+        if (message.schedule) setSchedule(message.schedule);
+        if (message.mode) setTradingMode(message.mode);
+        break;
+      case 'SYMBOL_STATUS':
+        setSymbolStatuses(prev => ({ ...prev, [message.status.symbol]: message.status }));
+        break;
+      case 'POSITIONS':
+        setOpenPositions(message.positions);
+        break;
+      case 'STRATEGY_STATE':
+        setStrategyChanges(prev => ({ ...prev, [message.change.symbol]: message.change }));
+        break;
+      case 'CONNECTION_STATE':
+        setDerivConnection({ state: message.state, attempt: message.attempt });
         break;
       case 'BALANCE_UPDATE':
-        setAccountBalance(lastMessage.balance);
+        setAccountBalance(message.balance);
         setBalanceHistory(prev => {
           const newPoint = { 
             time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }), 
-            balance: lastMessage.balance 
+            balance: message.balance 
           };
           return [...prev, newPoint].slice(-20);
         });
         break;
       case 'TRADE_OPEN':
-        setTrades(prev => [{ ...lastMessage.trade, status: 'OPEN', time: new Date().toLocaleTimeString() }, ...prev]);
+        setTrades(prev => [{ ...message.trade, status: 'OPEN', time: new Date().toLocaleTimeString() }, ...prev]);
         break;
       case 'TRADE_CLOSE':
         setTrades(prev => prev.map(t => 
-          t.id === lastMessage.trade.id ? { ...t, status: 'CLOSED', profit: lastMessage.trade.profit, closeTime: new Date().toLocaleTimeString() } : t
+          t.id === message.trade.id ? { ...t, status: 'CLOSED', profit: message.trade.profit, closeTime: new Date().toLocaleTimeString() } : t
         ));
         break;
+      case 'TRADE_ADJUSTED': {
+        const { symbol, reason } = message.adjustment;
+        setNotice({ severity: 'info', message: `${symbol}: ${reason}` });
+        break;
+      }
+      case 'TRADE_FAILED': {
+        const { action, symbol, reason, retryable } = message.failure;
+        setNotice({ severity: retryable ? 'warning' : 'error', message: `${action} ${symbol} failed: ${reason}` });
+        break;
+      }
+      case 'ALERT':
+        setNotice({ severity: message.alert.level, message: message.alert.message });
+        break;
       default:
         break;
     }
-  }, [lastMessage]);
+  }, []);
+
+  const { isConnected, connectionError, sendMessage, reconnect } = useWebSocket(handleMessage);
+
+  // A halted bot is still running: it manages open trades and can be paused
+  const isBotActive = botStatus !== 'STOPPED';
 
   const handleToggleBot = useCallback(() => {
-    const nextStatus = botStatus === 'RUNNING' ? 'STOP' : 'START';
+    const nextStatus = isBotActive ? 'STOP' : 'START';
     sendMessage({ type: 'COMMAND', action: nextStatus });
     
     if (!isConnected) {
         setBotStatus(nextStatus === 'START' ? 'RUNNING' : 'STOPPED');
     }
-  }, [botStatus, sendMessage, isConnected]);
+  }, [isBotActive, sendMessage, isConnected]);
+
+  const handleRearm = useCallback(() => {
+    sendMessage({ type: 'COMMAND', action: 'REARM' });
+  }, [sendMessage]);
 
   const dailyPnl = useMemo(() => {
     return trades
+      .filter(t => t.status === 'CLOSED' && t.profit != null && !t.simulated)
+      .reduce((sum, t) => sum + t.profit, 0);
+  }, [trades]);
+
+  // Paper trades are tracked separately so they never inflate the real P&L
+  const paperPnl = useMemo(() => {
+    const paperTrades = trades.filter(t => t.simulated);
+    if (paperTrades.length === 0) return null;
+    return paperTrades
       .filter(t => t.status === 'CLOSED' && t.profit != null)
       .reduce((sum, t) => sum + t.profit, 0);
   }, [trades]);
@@ -134,6 +190,18 @@ const Dashboard = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Failed Trades & Bot Alerts */}
+      <Snackbar
+        open={notice != null}
+        autoHideDuration={8000}
+        onClose={() => setNotice(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert severity={notice?.severity || 'info'} variant="filled" onClose={() => setNotice(null)}>
+          {notice?.message}
+        </Alert>
+      </Snackbar>
+
       {/* Top Controls & Summary */}
       <Stack direction={{ xs: 'column', md: 'row' }} justifyContent="space-between" alignItems="center" spacing={2}>
         <Box>
@@ -142,10 +210,23 @@ const Dashboard = () => {
             <Typography component="span" variant="h5" fontWeight="bold" sx={{ ml: 1.5, color: dailyPnl >= 0 ? 'success.main' : 'error.main' }}>
               | {dailyPnl >= 0 ? '+' : ''}${dailyPnl.toFixed(2)}
             </Typography>
+            {tradingMode === 'paper' && (
+              <Chip label="PAPER MODE" color="warning" size="small" sx={{ ml: 1.5, fontWeight: 700, verticalAlign: 'middle' }} />
+            )}
           </Typography>
+          {paperPnl != null && (
+            <Typography variant="body2" color="text.secondary">
+              Paper P&amp;L: {paperPnl >= 0 ? '+' : ''}${paperPnl.toFixed(2)}
+            </Typography>
+          )}
           <Typography variant="body2" color={isConnected ? 'success.main' : 'warning.main'}>
             WebSocket: {isConnected ? 'Connected' : 'Disconnected'}
           </Typography>
+          <Typography variant="body2" color={derivConnection.state === 'CONNECTED' ? 'success.main' : 'warning.main'}>
+            Deriv: {derivConnection.state === 'RECONNECTING'
+              ? `Reconnecting (attempt ${derivConnection.attempt})...`
+              : derivConnection.state.charAt(0) + derivConnection.state.slice(1).toLowerCase()}
+          </Typography>
         </Box>
 
         <Stack direction="row" spacing={2}>
@@ -160,16 +241,41 @@ const Dashboard = () => {
           
           <Button
             variant="contained"
-            color={botStatus === 'RUNNING' ? 'error' : 'primary'}
-            startIcon={botStatus === 'RUNNING' ? <PauseIcon /> : <PlayArrowIcon />}
+            color={isBotActive ? 'error' : 'primary'}
+            startIcon={isBotActive ? <PauseIcon /> : <PlayArrowIcon />}
             onClick={handleToggleBot}
             sx={{ px: 4, py: 1.5, fontSize: '1.1rem' }}
           >
-            {botStatus === 'RUNNING' ? 'Pause Bot' : 'Start Bot'}
+            {isBotActive ? 'Pause Bot' : 'Start Bot'}
           </Button>
         </Stack>
       </Stack>
 
+      {/* Why new entries are blocked */}
+      {halt && (
+        <Alert
+          severity="warning"
+          variant="outlined"
+          action={halt.rearmable && (
+            <Button color="inherit" size="small" onClick={handleRearm} disabled={!isConnected}>
+              Re-arm
+            </Button>
+          )}
+        >
+          Trading halted{halt.until ? ` until ${new Date(halt.until).toLocaleString()}` : ''}: {halt.reason}
+        </Alert>
+      )}
+
+      {schedule?.enabled && !schedule.open && (
+        <Alert severity="info" variant="outlined">
+          {schedule.reason}: no new trades{schedule.nextChange ? ` until ${new Date(schedule.nextChange).toLocaleString()}` : ''}, open positions are still managed.
+        </Alert>
+      )}
+
+      {/* Per Symbol Status */}
+      <SymbolStatusList statuses={Object.values(symbolStatuses)} changes={strategyChanges} />
+      <OpenPositionList positions={openPositions} />
+
       {/* Main Grid Content */}
       <Box sx={{ 
         display: 'grid',
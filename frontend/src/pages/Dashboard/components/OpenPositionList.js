@@ -0,0 +1,52 @@
+import React from 'react';
+import { Card, CardContent, Typography, Stack, Box, Chip } from '@mui/material';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+
+const chipSx = { height: 18, fontSize: '0.62rem', fontWeight: 700 };
+
+const OpenPositionList = ({ positions = [] }) => {
+  if (positions.length === 0) return null;
+
+  return (
+    <Card>
+      <CardContent sx={{ py: '12px !important', px: { xs: 2, md: 3 } }}>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Open Positions ({positions.length})
+        </Typography>
+        <Stack spacing={0.75}>
+          {positions.map((position) => (
+            <Stack key={position.id} direction="row" justifyContent="space-between" alignItems="center" spacing={2}>
+              <Stack direction="row" spacing={1} alignItems="center">
+                {position.direction === 'up'
+                  ? <ArrowUpwardIcon sx={{ fontSize: 16, color: 'success.main' }} />
+                  : <ArrowDownwardIcon sx={{ fontSize: 16, color: 'error.main' }} />}
+                <Typography component="div" variant="body2" fontWeight={600}>
+                  {position.symbol}
+                  {position.simulated && (
+                    <Chip label="PAPER" size="small" sx={{ ...chipSx, ml: 1, bgcolor: 'rgba(245,158,11,0.15)', color: 'warning.main' }} />
+                  )}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  ${position.stake.toFixed(2)} • {new Date(position.openedAt).toLocaleTimeString()}
+                  {position.stopFloor != null && ` • stop ${position.stopFloor >= 0 ? '+' : ''}${position.stopFloor.toFixed(2)}`}
+                </Typography>
+              </Stack>
+              <Box>
+                {position.profit != null ? (
+                  <Typography variant="caption" fontWeight={700} color={position.profit >= 0 ? 'success.main' : 'error.main'}>
+                    {position.profit >= 0 ? '+' : ''}{position.profit.toFixed(2)}
+                  </Typography>
+                ) : (
+                  <Typography variant="caption" color="text.secondary">—</Typography>
+                )}
+              </Box>
+            </Stack>
+          ))}
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OpenPositionList;
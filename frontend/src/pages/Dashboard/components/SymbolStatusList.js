@@ -0,0 +1,67 @@
+import React from 'react';
+import { Card, CardContent, Typography, Stack, Chip } from '@mui/material';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+
+const chipSx = { height: 20, fontSize: '0.68rem', fontWeight: 700 };
+
+const SymbolStatusList = ({ statuses = [], changes = {} }) => {
+  if (statuses.length === 0) return null;
+
+  return (
+    <Stack direction="row" spacing={2} useFlexGap flexWrap="wrap">
+      {statuses.map((status) => (
+        <Card key={status.symbol} sx={{ minWidth: 180 }}>
+          <CardContent sx={{ py: '12px !important', px: 2 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" spacing={1}>
+              <Typography variant="body2" fontWeight={600}>
+                {status.symbol}
+              </Typography>
+              {status.positions?.length > 0 ? (
+                <Chip
+                  size="small"
+                  icon={status.positions[0].direction === 'up'
+                    ? <ArrowUpwardIcon sx={{ fontSize: 14 }} />
+                    : <ArrowDownwardIcon sx={{ fontSize: 14 }} />}
+                  label={status.positions.length > 1 ? `${status.positions.length} OPEN` : 'OPEN'}
+                  sx={{ ...chipSx, bgcolor: 'rgba(99,102,241,0.15)', color: 'primary.main' }}
+                />
+              ) : status.pendingBuys > 0 ? (
+                <Chip size="small" label="BUYING" sx={{ ...chipSx, bgcolor: 'rgba(245,158,11,0.15)', color: 'warning.main' }} />
+              ) : status.cooldown ? (
+                <Chip
+                  size="small"
+                  label="COOLDOWN"
+                  title={`After a ${status.cooldown.reason}, until ${new Date(status.cooldown.until).toLocaleTimeString()}`}
+                  sx={{ ...chipSx, bgcolor: 'rgba(245,158,11,0.15)', color: 'warning.main' }}
+                />
+              ) : (
+                <Chip
+                  size="small"
+                  label={status.squeezeState || (status.armed ? 'ARMED' : 'WAITING')}
+                  sx={{
+                    ...chipSx,
+                    ...(status.armed
+                      ? { bgcolor: 'rgba(16,185,129,0.12)', color: 'success.main' }
+                      : { bgcolor: 'rgba(255,255,255,0.06)', color: 'text.secondary' }
+                    ),
+                  }}
+                />
+              )}
+            </Stack>
+            <Typography variant="caption" color="text.secondary">
+              {status.strategy}
+            </Typography>
+            {changes[status.symbol] && (
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ opacity: 0.7 }}>
+                {changes[status.symbol].from} → {changes[status.symbol].to}: {changes[status.symbol].reason}
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+    </Stack>
+  );
+};
+
+export default SymbolStatusList;
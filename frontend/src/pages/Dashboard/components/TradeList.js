@@ -37,8 +37,15 @@ const TradeList = ({ trades = [] }) => {
               }
             </Box>
             <Box>
-              <Typography variant="body2" fontWeight={600} lineHeight={1.3}>
+              <Typography component="div" variant="body2" fontWeight={600} lineHeight={1.3}>
                 {trade.symbol || 'VOL100'}
+                {trade.simulated && (
+                  <Chip
+                    label="PAPER"
+                    size="small"
+                    sx={{ ml: 1, height: 18, fontSize: '0.62rem', fontWeight: 700, bgcolor: 'rgba(245,158,11,0.15)', color: 'warning.main' }}
+                  />
+                )}
               </Typography>
               <Typography variant="caption" color="text.secondary">
                 {trade.action} • {trade.time}
@@ -2,12 +2,21 @@ import { useEffect, useState, useCallback, useRef } from 'react';
 
 const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:5000';
 
-export const useWebSocket = () => {
+/**
+ * Keeps a socket to the backend open. `onMessage` is called with every parsed message, in
+ * order: the backend sends bursts (e.g. the snapshot on connect) that a single "last message"
+ * state would collapse into the last one.
+ */
+export const useWebSocket = (onMessage) => {
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(false);
-  const [lastMessage, setLastMessage] = useState(null);
   const socketRef = useRef(null);
   const intentionalCloseRef = useRef(false);
+  const onMessageRef = useRef(onMessage);
+
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  }, [onMessage]);
 
   const connect = useCallback(() => {
     // Clean up any existing socket before creating a new one
@@ -31,7 +40,7 @@ export const useWebSocket = () => {
     ws.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
-        setLastMessage(data);
+        onMessageRef.current?.(data);
       } catch (err) {
         console.error('Error parsing WS message:', err);
       }
@@ -77,5 +86,5 @@ export const useWebSocket = () => {
     };
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
-  return { isConnected, connectionError, lastMessage, sendMessage, reconnect: connect };
+  return { isConnected, connectionError, sendMessage, reconnect: connect };
 };